@@ -1,421 +1,563 @@
 // clean-cpux-server.js
 // CPUX server with clean deterministic pulse logic
 // No waiting, no loops, pure field-gated execution
+// The engine lives in cpux_engine.js; this file exposes it over HTTP
 
-const axios = require('axios');
 const express = require('express');
+const transport = require('./utils/transport');
+const { reloadDefinitions, getDefinition, getValidation, listDefinitions } = require('./utils/definitions');
+const { isCallbackUrl, deliveryProblems } = require('./utils/delivery');
+const { dispatchProblems } = require('./utils/validator');
+const { readJournal } = require('./utils/journal');
+const { signalProblems } = require('./utils/field');
+const { claimIdentity, authenticate } = require('./utils/identity');
+const { DIAGRAM_FORMATS, renderDiagram } = require('./utils/diagram');
+const { simulateRun } = require('./simulate_run');
+const {
+  runs,
+  settledRuns,
+  findRunState,
+  runEvents,
+  createRun,
+  recoverRuns,
+  executeCPUX,
+  executeSequencePass,
+  handleEmission,
+  checkTermination,
+  cancelRun,
+  startReplicaWatch,
+  stepStatuses,
+  resultOf,
+  waitForResult,
+  fieldAbsorb,
+  fieldMatch
+} = require('./cpux_engine');
 const app = express();
 app.use(express.json());
 
 const CPUX_PORT = 3000;
-const CPUX_CONTEXT_ID = `CPUX_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
 
-// Line 10: Service registry for routing intentions
-const targetRegistry = {
-  O1: "http://localhost:4000",
-  DN1: "http://localhost:5001", 
-  DN2: "http://localhost:5001",
-  DN3: "http://localhost:5001",
-  DN4: "http://localhost:5001"
-};
+// Line 41: CPUX definitions come from the versioned JSON catalog in definitions/
+const DEFAULT_CPUX_ID = "make_license_cpux";
+const DEFAULT_WAIT_MS = 30000; // How long a wait-for-result start request is held open
+const STREAM_HEARTBEAT_MS = 15000; // SSE comment line that keeps idle proxies from closing the stream
 
-// Line 18: CPUX state management - pure and simple
-let cpuxField = {}; // The semantic field
-let executionLog = new Set(); // Track completed steps
-let memberStatus = new Map(); // Track DN instance states
+// Caller-supplied trace IDs. A context ID names the run's journal file and prefixes member instance IDs
+// (`${contextId}:${stepId}:${target}`), so it may not contain ':' or '/'.
+const CONTEXT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/;
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:-]{0,127}$/;
+reloadDefinitions();
 
-// Line 23: CPUX Definition - clean sequence
-const CPUXDefinition = {
-  cpuxId: "make_license_cpux",
-  startIntention: {
-    name: "start_license_request",
-    signal: [{ name: "start_license_request", TV: "Y", response: "initiated" }],
-    target: "O1"
-  },
-  sequence: [
-    {
-      stepId: 1,
-      intention: "add_personal_detail",
-      designTimeSignal: [{ name: "start_license_request", TV: "Y" }],
-      target: "O1",
-      type: "object" // Sync reflection
-    },
-    {
-      stepId: 2,
-      intention: "fetch_personal_detail",
-      designTimeSignal: [{ name: "start_license_request", TV: "Y" }],
-      target: "DN1",
-      type: "dn" // Async execution
-    },
-    {
-      stepId: 3,
-      intention: "reflect_personal_detail",
-      designTimeSignal: [{ name: "personal_detail", TV: "Y" }],
-      target: "O1",
-      type: "object"
-    },
-    {
-      stepId: 4,
-      intention: "fetch_driver_points",
-      designTimeSignal: [{ name: "personal_detail", TV: "Y" }],
-      target: "DN2",
-      type: "dn"
-    },
-    {
-      stepId: 5,
-      intention: "reflect_driver_points",
-      designTimeSignal: [{ name: "driver_points", TV: "Y" }],
-      target: "O1",
-      type: "object"
-    },
-    {
-      stepId: 6,
-      intention: "compute_expiry",
-      designTimeSignal: [{ name: "driver_points", TV: "Y" }],
-      target: "DN3",
-      type: "dn"
-    },
-    {
-      stepId: 7,
-      intention: "reflect_expiry",
-      designTimeSignal: [{ name: "expiry_date", TV: "Y" }],
-      target: "O1",
-      type: "object"
-    },
-    {
-      stepId: 8,
-      intention: "generate_license",
-      designTimeSignal: [{ name: "expiry_date", TV: "Y" }],
-      target: "DN4",
-      type: "dn"
-    },
-    {
-      stepId: 9,
-      intention: "license_complete",
-      designTimeSignal: [{ name: "compiled_license", TV: "Y" }],
-      target: "CONSOLE",
-      type: "final"
-    }
-  ]
-};
-
-// Line 77: Pure field operations
-function fieldAbsorb(incomingSignal, currentField) {
-  const updatedField = { ...currentField };
-  
-  for (const pulse of incomingSignal) {
-    updatedField[pulse.name] = {
-      name: pulse.name,
-      TV: pulse.TV,
-      response: pulse.response || null,
-      timestamp: new Date().toISOString()
-    };
-  }
+// Line 52: CPUX endpoint to receive DN and Object emissions
+app.post('/cpux/intention', async (req, res) => {
+  const { cpuxId, intention, signal, dnInstanceId, objectInstanceId, source, correlationId } = req.body;
   
-  return updatedField;
-}
-
-function fieldMatch(field, requiredSignal) {
-  return requiredSignal.every(requiredPulse => {
-    const fieldPulse = field[requiredPulse.name];
-    return fieldPulse && fieldPulse.TV === requiredPulse.TV;
-  });
-}
-
-// Line 98: Initialize DN instance tracking
-function initializeDNStatus(sequence, contextId) {
-  sequence.forEach(step => {
-    if (step.type === 'dn') {
-      const dnInstanceId = `${contextId}:${step.stepId}:${step.target}`;
-      memberStatus.set(dnInstanceId, 'ready');
-    }
-  });
-}
-
-// Line 107: Pure CPUX execution - no loops, no waiting
-async function executeCPUX(cpuxDef) {
-  const { cpuxId, startIntention, sequence } = cpuxDef;
+  console.log(`\n=== ${source === 'O1' ? 'Object' : 'DN'} Emission Received ===`);
   
-  console.log(`\n=== CPUX ${cpuxId} Starting ===`);
+  // Only registered nodes may inject pulses - the emission must be signed by the source it names
+  const signed = { intention, target: 'CPUX', context: cpuxId || req.body.contextId || null, signal, dnInstanceId, objectInstanceId, correlationId, source };
+  if (!authenticate(req, res, signed)) {
+    return;
+  }
   
-  // Line 112: Initialize field with start intention
-  cpuxField = fieldAbsorb(startIntention.signal, cpuxField);
-  console.log("Initial field:", Object.keys(cpuxField));
+  // Pulse TVs must be Y, N or U
+  const problems = signalProblems(signal);
+  if (problems.length > 0) {
+    console.log(`Rejected emission ${intention}:`, problems);
+    return res.status(400).json({ error: 'Invalid signal', problems });
+  }
   
-  // Line 116: Initialize DN status
-  initializeDNStatus(sequence, CPUX_CONTEXT_ID);
+  // FIXED: Handle both DN and Object instance IDs
+  const instanceId = dnInstanceId || objectInstanceId || 'unknown';
+  console.log(`From: ${instanceId}`);
+  console.log(`Intention: ${intention}`);
+  console.log(`Signal:`, signal.map(p => `${p.name}:${p.TV}`));
+  console.log(`Correlation: ${correlationId || 'none'}`);
   
-  // Line 119: Execute sequence - pure pass through
-  await executeSequencePass(sequence);
+  // Route the emission to the run that owns this context - a late emission may reach a settled run
+  const run = findRunState(cpuxId || req.body.contextId);
+  if (!run) {
+    return res.status(400).json({ error: 'Wrong CPUX context' });
+  }
   
-  console.log(`\n=== CPUX ${cpuxId} Initial Pass Complete ===`);
-  console.log("Field state:", Object.keys(cpuxField));
-  console.log("Executed steps:", Array.from(executionLog));
+  const activations = await handleEmission(run, req.body);
   
-  // Line 126: That's it! No loops. DNs will emit back when ready.
-  console.log("✅ CPUX is now reactive - waiting for DN emissions");
-}
+  res.json({ 
+    status: 'received',
+    message: `Absorbed ${signal.length} pulses, triggered ${activations} activations`,
+    contextId: run.contextId,
+    correlationId: run.correlationId,
+    sourceType: source === 'O1' ? 'object' : 'dn',
+    instanceId: instanceId
+  });
+});
 
-// Line 130: Execute one clean pass through the sequence
-async function executeSequencePass(sequence) {
-  let passActivations = 0;
-  
-  console.log(`\n--- Executing Sequence Pass ---`);
-  
-  for (const step of sequence) {
-    const stepKey = `${step.stepId}:${step.intention}:${step.target}`;
-    
-    // Line 138: Skip if already executed
-    if (executionLog.has(stepKey)) {
-      console.log(`Step ${step.stepId}: ${step.intention} → Already executed`);
-      continue;
-    }
-    
-    // Line 143: Check field match - deterministic
-    const fieldMatches = fieldMatch(cpuxField, step.designTimeSignal);
-    
-    if (!fieldMatches) {
-      console.log(`Step ${step.stepId}: ${step.intention} → Field mismatch`);
-      console.log(`  Required: ${step.designTimeSignal.map(p => `${p.name}:${p.TV}`).join(', ')}`);
-      console.log(`  Available: ${Object.keys(cpuxField).map(name => `${name}:${cpuxField[name].TV}`).join(', ')}`);
-      continue;
-    }
-    
-    // Line 151: Execute step based on type
-    const executed = await executeStep(step);
-    if (executed) {
-      executionLog.add(stepKey);
-      passActivations++;
-      console.log(`Step ${step.stepId}: ${step.intention} → ✅ Executed`);
-    }
+// Line 98: Start a new CPUX run with its own context, optionally pinned to a definition version
+// Body: { cpuxId, version, contextId, correlationId, callbackUrl, delivery, dispatch, wait, waitMs }
+// ?wait=true also holds the request; the X-Correlation-ID header works in place of correlationId
+app.post('/cpux/runs', async (req, res) => {
+  const { cpuxId = DEFAULT_CPUX_ID, version, contextId, callbackUrl, delivery, dispatch } = req.body || {};
+  const correlationId = (req.body && req.body.correlationId) || req.get('X-Correlation-ID');
+  const wait = req.body?.wait === true || req.query.wait === 'true';
+  const waitMs = Number(req.body?.waitMs || req.query.waitMs) || DEFAULT_WAIT_MS;
+  
+  const cpuxDef = getDefinition(cpuxId, version);
+  if (!cpuxDef) {
+    return res.status(404).json({
+      error: 'Definition not found',
+      cpuxId,
+      version: version === undefined ? 'latest' : version,
+      available: listDefinitions().map(d => ({ cpuxId: d.cpuxId, versions: d.versions.map(v => v.version) }))
+    });
   }
   
-  console.log(`Pass complete: ${passActivations} activations`);
-  return passActivations;
-}
-
-// Line 162: Execute individual step - clean and deterministic
-async function executeStep(step) {
-  try {
-    // Line 165: Prepare signal from field
-    const signalToSend = step.designTimeSignal.map(pulseSpec => {
-      const fieldPulse = cpuxField[pulseSpec.name];
-      return {
-        name: pulseSpec.name,
-        TV: pulseSpec.TV,
-        response: fieldPulse?.response || null
-      };
+  // Refuse definitions the static validator rejected - they would stall silently
+  const validation = getValidation(cpuxId, cpuxDef.version);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Definition failed validation',
+      cpuxId,
+      version: cpuxDef.version,
+      errors: validation.errors
     });
-    
-    const payload = {
-      cpuxId: CPUX_CONTEXT_ID,
-      stepId: step.stepId,
-      intention: step.intention,
-      signal: signalToSend,
-      target: step.target,
-      dnInstanceId: step.type === 'dn' ? `${CPUX_CONTEXT_ID}:${step.stepId}:${step.target}` : null
-    };
-    
-    // Line 181: Handle different step types
-    if (step.type === 'object') {
-      return await executeObjectStep(step, payload);
-    } else if (step.type === 'dn') {
-      return await executeDNStep(step, payload);
-    } else if (step.type === 'final') {
-      return executeFinalStep(step, signalToSend);
-    }
-    
-    return false;
-    
-  } catch (error) {
-    console.error(`Error executing step ${step.stepId}:`, error.message);
-    return false;
   }
-}
-
-// Line 196: Execute object step - synchronous reflection
-async function executeObjectStep(step, payload) {
-  const memberUrl = targetRegistry[step.target];
   
-  console.log(`→ Sending to Object ${step.target}: ${step.intention}`);
+  if (callbackUrl !== undefined && !isCallbackUrl(callbackUrl)) {
+    return res.status(400).json({ error: 'callbackUrl must be an absolute http(s) URL', callbackUrl });
+  }
   
-  try {
-    // Line 203: Object executes synchronously and may reflect immediately
-    const response = await axios.post(`${memberUrl}/execute`, payload);
-    
-    // Objects handle their own reflections via async emission to CPUX
-    // We just mark this step as complete
-    return true;
-    
-  } catch (error) {
-    console.error(`Object ${step.target} failed:`, error.message);
-    return false;
+  if (delivery !== undefined && deliveryProblems(delivery).length > 0) {
+    return res.status(400).json({ error: 'Invalid delivery policy', problems: deliveryProblems(delivery) });
   }
-}
-
-// Line 215: Execute DN step - async fire and forget  
-async function executeDNStep(step, payload) {
-  const memberUrl = targetRegistry[step.target];
-  const dnInstanceId = payload.dnInstanceId;
-  
-  // Line 220: Check DN instance availability
-  const dnStatus = memberStatus.get(dnInstanceId);
-  if (dnStatus !== 'ready') {
-    console.log(`→ DN instance ${dnInstanceId} not ready (${dnStatus})`);
-    return false;
+  
+  if (dispatch !== undefined && dispatchProblems(dispatch).length > 0) {
+    return res.status(400).json({ error: 'Invalid dispatch policy', problems: dispatchProblems(dispatch) });
   }
   
-  console.log(`→ Sending to DN ${step.target}: ${step.intention}`);
+  if (contextId !== undefined && !(typeof contextId === 'string' && CONTEXT_ID_PATTERN.test(contextId))) {
+    return res.status(400).json({ error: 'contextId must be 1-128 letters, digits, _ . or -', contextId });
+  }
+  if (correlationId !== undefined && !(typeof correlationId === 'string' && CORRELATION_ID_PATTERN.test(correlationId))) {
+    return res.status(400).json({ error: 'correlationId must be 1-128 letters, digits, _ . : or -', correlationId });
+  }
   
-  try {
-    // Line 229: Send to DN - expect immediate sync response
-    const response = await axios.post(`${memberUrl}/execute`, payload);
-    
-    if (response.data.status === 'accepted') {
-      // Line 233: Mark DN as busy - it will emit back when done
-      memberStatus.set(dnInstanceId, 'busy');
-      console.log(`  DN ${step.target} accepted work - will emit when complete`);
-      return true;
-    } else {
-      console.log(`  DN ${step.target} rejected work: ${response.data.status}`);
-      return false;
-    }
-    
-  } catch (error) {
-    console.error(`DN ${step.target} failed:`, error.message);
-    return false;
+  // A context ID names exactly one run, including finished runs that only live in the journal
+  if (contextId !== undefined && (runs.has(contextId) || readJournal(contextId).length > 0)) {
+    return res.status(409).json({ error: 'A run with this contextId already exists', contextId, statusUrl: `/cpux/runs/${contextId}` });
   }
-}
-
-// Line 246: Execute final step - console output
-function executeFinalStep(step, signal) {
-  console.log(`\n🎉 === FINAL RESULT ===`);
-  console.log(`Intention: ${step.intention}`);
-  console.log(`Signal:`, signal);
-  console.log(`✅ CPUX License Generation Complete!`);
-  
-  return true;
-}
-
-// Line 255: CPUX endpoint to receive DN emissions
-// CPUX endpoint to receive DN and Object emissions
-app.post('/cpux/intention', async (req, res) => {
-  const { cpuxId, intention, signal, dnInstanceId, objectInstanceId, source } = req.body;
   
-  console.log(`\n=== ${source === 'O1' ? 'Object' : 'DN'} Emission Received ===`);
+  const run = createRun(cpuxDef, callbackUrl ? { callbackUrl, delivery: delivery || null } : null, dispatch || null, { contextId, correlationId });
+  res.set('X-Correlation-ID', run.correlationId);
+  const started = {
+    cpuxId: run.definition.cpuxId,
+    version: run.definition.version,
+    contextId: run.contextId,
+    correlationId: run.correlationId,
+    statusUrl: `/cpux/runs/${run.contextId}`,
+    fieldUrl: `/cpux/runs/${run.contextId}/field`,
+    resultUrl: `/cpux/runs/${run.contextId}/result`,
+    callbackUrl: callbackUrl || null
+  };
   
-  // FIXED: Handle both DN and Object instance IDs
-  const instanceId = dnInstanceId || objectInstanceId || 'unknown';
-  console.log(`From: ${instanceId}`);
-  console.log(`Intention: ${intention}`);
-  console.log(`Signal:`, signal.map(p => `${p.name}:${p.TV}`));
+  executeCPUX(run).catch(error => {
+    console.error(`CPUX run ${run.contextId} failed:`, error.message);
+  });
   
-  // Verify context
-  if (cpuxId !== CPUX_CONTEXT_ID) {
-    return res.status(400).json({ error: 'Wrong CPUX context' });
+  if (!wait) {
+    return res.status(202).json({ status: 'started', ...started });
   }
   
-  // Absorb signal into field
-  cpuxField = fieldAbsorb(signal, cpuxField);
-  console.log(`Field updated:`, Object.keys(cpuxField));
-  
-  // Mark DN as ready if it's a DN emission
-  if (dnInstanceId) {
-    memberStatus.set(dnInstanceId, 'ready');
-    console.log(`DN ${dnInstanceId} marked as ready`);
+  // Wait-for-result: answer with the result, or fall back to 202 if the run outlives waitMs
+  const result = await waitForResult(run, waitMs);
+  if (!result) {
+    return res.status(202).json({ status: 'running', waitedMs: waitMs, ...started });
   }
+  res.json(result);
+});
+
+// Line 180: Simulate a definition in memory with mock members and virtual time - no member is called
+// Body: { cpuxId, version, members, dispatch, startAt }; the report holds the field trace and terminal state
+app.post('/cpux/simulations', async (req, res) => {
+  const { cpuxId = DEFAULT_CPUX_ID, version, members, dispatch, startAt } = req.body || {};
   
-  // Note: Object emissions don't need status tracking since they're immediate
-  if (objectInstanceId) {
-    console.log(`Object emission from ${objectInstanceId} processed`);
+  const cpuxDef = getDefinition(cpuxId, version);
+  if (!cpuxDef) {
+    return res.status(404).json({ error: 'Definition not found', cpuxId, version: version === undefined ? 'latest' : version });
   }
   
-  // Execute another sequence pass - new pulses may enable new steps
-  console.log(`\n--- Triggered by ${source === 'O1' ? 'Object' : 'DN'} emission ---`);
-  const activations = await executeSequencePass(CPUXDefinition.sequence);
+  if (members !== undefined && (!members || typeof members !== 'object' || Array.isArray(members))) {
+    return res.status(400).json({ error: 'members must be an object keyed by member ID' });
+  }
+  if (dispatch !== undefined && dispatchProblems(dispatch).length > 0) {
+    return res.status(400).json({ error: 'Invalid dispatch policy', problems: dispatchProblems(dispatch) });
+  }
+  if (startAt !== undefined && Number.isNaN(Date.parse(startAt))) {
+    return res.status(400).json({ error: 'startAt must be an ISO timestamp', startAt });
+  }
   
-  if (activations === 0) {
-    console.log("No new activations - CPUX may be complete");
-    checkCompletion();
+  try {
+    res.json(await simulateRun(cpuxDef, { members, dispatch, startAt }));
+  } catch (error) {
+    res.status(500).json({ error: 'Simulation failed', message: error.message });
   }
+});
+
+// Line 206: List all runs known to this server - live ones and the most recently settled
+app.get('/cpux/runs', (req, res) => {
+  const summaries = [...runs.values(), ...settledRuns.values()].map(run => ({
+    contextId: run.contextId,
+    correlationId: run.correlationId,
+    cpuxId: run.definition.cpuxId,
+    version: run.definition.version,
+    startedAt: run.startedAt,
+    state: run.state,
+    parentContextId: parentOf(run),
+    completed: run.executionLog.size,
+    total: run.definition.sequence.length
+  }));
   
-  res.json({ 
-    status: 'received',
-    message: `Absorbed ${signal.length} pulses, triggered ${activations} activations`,
-    contextId: CPUX_CONTEXT_ID,
-    sourceType: source === 'O1' ? 'object' : 'dn',
-    instanceId: instanceId
+  res.json({
+    runCount: summaries.length,
+    runs: summaries
   });
 });
 
-// Line 291: Check if CPUX is complete
-function checkCompletion() {
-  const totalSteps = CPUXDefinition.sequence.length;
-  const completedSteps = executionLog.size;
-  
-  console.log(`\n=== Completion Check ===`);
-  console.log(`Completed: ${completedSteps}/${totalSteps} steps`);
-  console.log(`Executed: ${Array.from(executionLog)}`);
-  
-  if (completedSteps >= totalSteps) {
-    console.log(`\n🎉 === CPUX COMPLETED SUCCESSFULLY ===`);
-    console.log(`All ${totalSteps} steps executed`);
-    console.log(`Final field:`, cpuxField);
-    
-    // Could emit completion event here if needed
-    return true;
+// Context ID of the run that started this one through a nested 'cpux' step
+function parentOf(run) {
+  return run.starter && run.starter.parent ? run.starter.parent.contextId : null;
+}
+
+// Line 231: Resolve the run addressed by a request (path param or ?cpuxId=)
+function findRun(req, res) {
+  const contextId = req.params.contextId || req.query.cpuxId;
+  
+  if (!contextId) {
+    res.status(400).json({
+      error: 'Missing CPUX context',
+      message: 'Pass ?cpuxId=<contextId> or use /cpux/runs/:contextId',
+      runs: Array.from(runs.keys())
+    });
+    return null;
   }
   
-  return false;
+  const run = findRunState(contextId);
+  if (!run) {
+    res.status(404).json({ error: 'Run not found', contextId });
+    return null;
+  }
+  
+  return run;
+}
+
+// Line 253: Mermaid or DOT text of a definition, optionally with a run overlay
+function sendDiagram(req, res, cpuxDef, overlay) {
+  const format = req.query.format || 'mermaid';
+  if (!DIAGRAM_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Unknown diagram format', format, formats: DIAGRAM_FORMATS });
+  }
+  
+  res.type(format === 'dot' ? 'text/vnd.graphviz' : 'text/plain');
+  res.send(renderDiagram(cpuxDef, { format, overlay }));
 }
 
-// Line 308: Status endpoint for monitoring
-app.get('/cpux/status', (req, res) => {
-  const totalSteps = CPUXDefinition.sequence.length;
-  const completedSteps = executionLog.size;
+// Line 264: Status endpoint for monitoring
+function sendStatus(req, res) {
+  const run = findRun(req, res);
+  if (!run) return;
+  
+  const totalSteps = run.definition.sequence.length - run.skippedSteps.size; // Skipped branch alternatives never run
+  const completedSteps = run.executionLog.size;
   
   res.json({
-    contextId: CPUX_CONTEXT_ID,
+    contextId: run.contextId,
+    correlationId: run.correlationId,
+    cpuxId: run.definition.cpuxId,
+    version: run.definition.version,
+    startedAt: run.startedAt,
+    dispatch: run.dispatch,
+    state: run.state,
+    termination: run.termination,
+    parentContextId: parentOf(run),
+    children: Object.fromEntries(run.children),
+    result: run.result,
+    delivery: run.delivery,
+    completedAt: run.completedAt || null,
+    recoveredAt: run.recoveredAt || null,
     completion: {
       completed: completedSteps,
       total: totalSteps,
       percentage: Math.round((completedSteps / totalSteps) * 100)
     },
-    fieldState: Object.keys(cpuxField),
-    executedSteps: Array.from(executionLog),
-    dnStatus: Object.fromEntries(memberStatus)
+    fieldState: Object.keys(run.cpuxField),
+    executedSteps: Array.from(run.executionLog),
+    branches: Object.fromEntries(run.branches),
+    skippedSteps: Array.from(run.skippedSteps.keys()),
+    iterations: Object.fromEntries(Array.from(run.stepIterations, ([stepKey, { count }]) => [stepKey, count])),
+    iterationCapReached: Array.from(run.iterationCapped),
+    dnStatus: Object.fromEntries(run.memberStatus),
+    replicas: Object.fromEntries(run.pins),
+    attempts: Object.fromEntries(run.stepAttempts),
+    retriesPending: Object.fromEntries(run.retryPending),
+    timedOutSteps: Object.fromEntries(run.timedOutSteps)
   });
-});
+}
 
-// Line 324: Field endpoint for debugging
-app.get('/cpux/field', (req, res) => {
+// Line 306: Field endpoint for debugging
+function sendField(req, res) {
+  const run = findRun(req, res);
+  if (!run) return;
+  
+  const cpuxField = run.cpuxField;
+  
   res.json({
+    contextId: run.contextId,
     field: cpuxField,
     pulseCount: Object.keys(cpuxField).length,
     pulses: Object.keys(cpuxField).map(name => ({
       name,
       TV: cpuxField[name].TV,
-      hasResponse: !!cpuxField[name].response
-    }))
+      hasResponse: !!cpuxField[name].response,
+      version: cpuxField[name].version || null,
+      provenance: cpuxField[name].provenance || null
+    })),
+    // Pulses sucked out by consumeSignal steps, with the step instance that took them
+    consumed: run.consumedPulses
+  });
+}
+
+// Lineage of field pulses: every absorbed version with its producer, plus consumptions and restores
+// ?pulse=name narrows it to one pulse
+function sendFieldHistory(req, res) {
+  const run = findRun(req, res);
+  if (!run) return;
+  
+  const { pulse } = req.query;
+  if (pulse !== undefined) {
+    if (!run.fieldHistory.has(pulse)) {
+      return res.status(404).json({ error: 'Pulse never entered this run\'s field', contextId: run.contextId, pulse });
+    }
+    return res.json({
+      contextId: run.contextId,
+      pulse,
+      current: run.cpuxField[pulse] || null,
+      history: run.fieldHistory.get(pulse)
+    });
+  }
+  
+  res.json({
+    contextId: run.contextId,
+    history: Object.fromEntries(run.fieldHistory)
+  });
+}
+
+// Line 354: Shape a run event for the progress stream; raw member traffic is not streamed
+function toStreamEvent(record) {
+  const base = { seq: record.seq, at: record.at };
+  
+  switch (record.type) {
+    case 'run_started':
+      return { ...base, cpuxId: record.cpuxId, version: record.version, contextId: record.contextId, correlationId: record.correlationId || record.contextId };
+    case 'field_absorbed':
+      return {
+        ...base,
+        source: record.source,
+        intention: record.intention,
+        instanceId: record.instanceId || null,
+        pulses: record.pulses.map(({ name, TV }) => ({ name, TV }))
+      };
+    case 'step_executed':
+      return { ...base, stepId: record.stepId, stepKey: record.stepKey };
+    case 'dn_status':
+      return { ...base, dnInstanceId: record.dnInstanceId, status: record.status };
+    case 'pulses_consumed':
+    case 'pulses_restored':
+      return {
+        ...base,
+        stepId: record.stepId,
+        stepKey: record.stepKey,
+        instanceId: record.instanceId,
+        pulses: record.pulses.map(({ name, TV }) => ({ name, TV }))
+      };
+    case 'emission_received':
+    case 'member_called':
+    case 'timer_fired':
+      return null;
+    default: {
+      // step_attempt, retry_scheduled, step_timed_out, step_rearmed, iteration_cap_reached, branch_taken,
+      // result_produced, result_delivery, run_terminated
+      const { type, ...rest } = record;
+      return rest;
+    }
+  }
+}
+
+function writeStreamEvent(res, record) {
+  const data = toStreamEvent(record);
+  if (!data) return;
+  
+  res.write(`id: ${record.seq}\nevent: ${record.type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Line 403: Live progress of one run over Server-Sent Events
+// Starts with a snapshot (or the journaled events after Last-Event-ID), ends after run_terminated
+app.get('/cpux/runs/:contextId/events', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  const missed = lastEventId ? readJournal(run.contextId).filter(entry => entry.seq > lastEventId) : [];
+  
+  if (missed.length > 0) {
+    missed.forEach(entry => writeStreamEvent(res, entry));
+  } else {
+    res.write(`id: ${run.lastSeq}\nevent: snapshot\ndata: ${JSON.stringify({
+      contextId: run.contextId,
+      cpuxId: run.definition.cpuxId,
+      version: run.definition.version,
+      state: run.state,
+      field: Object.values(run.cpuxField).map(({ name, TV }) => ({ name, TV })),
+      executedSteps: Array.from(run.executionLog),
+      dnStatus: Object.fromEntries(run.memberStatus)
+    })}\n\n`);
+  }
+  
+  if (run.termination) {
+    return res.end();
+  }
+  
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  const onEvent = record => {
+    writeStreamEvent(res, record);
+    if (record.type === 'run_terminated') {
+      res.end();
+    }
+  };
+  
+  runEvents.on(run.contextId, onEvent);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    runEvents.off(run.contextId, onEvent);
   });
 });
 
-// Line 337: Start CPUX server
-app.listen(CPUX_PORT, () => {
+// Line 450: Definition catalog endpoints
+app.get('/cpux/definitions', (req, res) => {
+  res.json({ definitions: listDefinitions() });
+});
+
+app.get('/cpux/definitions/:cpuxId/validation', (req, res) => {
+  const validation = getValidation(req.params.cpuxId, req.query.version);
+  if (!validation) {
+    return res.status(404).json({ error: 'Definition not found', cpuxId: req.params.cpuxId, version: req.query.version || 'latest' });
+  }
+  res.json(validation);
+});
+
+// Line 463: Diagram of a definition - ?format=mermaid (default) or dot
+app.get('/cpux/definitions/:cpuxId/diagram', (req, res) => {
+  const cpuxDef = getDefinition(req.params.cpuxId, req.query.version);
+  if (!cpuxDef) {
+    return res.status(404).json({ error: 'Definition not found', cpuxId: req.params.cpuxId, version: req.query.version || 'latest' });
+  }
+  sendDiagram(req, res, cpuxDef, null);
+});
+
+app.get('/cpux/definitions/:cpuxId', (req, res) => {
+  const cpuxDef = getDefinition(req.params.cpuxId, req.query.version);
+  if (!cpuxDef) {
+    return res.status(404).json({ error: 'Definition not found', cpuxId: req.params.cpuxId, version: req.query.version || 'latest' });
+  }
+  res.json(cpuxDef);
+});
+
+// Line 480: Re-read definitions/ without restarting; running runs keep the version they started with
+app.post('/cpux/definitions/reload', (req, res) => {
+  try {
+    const result = reloadDefinitions();
+    console.log(`Definition catalog reloaded: ${result.definitions.length} CPUX definitions, ${result.errors.length} errors`);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: 'Definition reload failed', message: error.message });
+  }
+});
+
+app.get('/cpux/status', sendStatus);
+app.get('/cpux/runs/:contextId', sendStatus);
+app.get('/cpux/field', sendField);
+app.get('/cpux/runs/:contextId/field', sendField);
+app.get('/cpux/field/history', sendFieldHistory);
+app.get('/cpux/runs/:contextId/field/history', sendFieldHistory);
+
+// Line 498: The run's definition with every step coloured by its current status
+app.get('/cpux/runs/:contextId/diagram', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+  
+  sendDiagram(req, res, run.definition, stepStatuses(run));
+});
+
+// Line 506: Result of a run - 202 while it is still running
+app.get('/cpux/runs/:contextId/result', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+  
+  res.status(run.termination ? 200 : 202).json({ ...resultOf(run), delivery: run.delivery });
+});
+
+// Line 514: Cancel a run - it stops dispatching; late emissions are still absorbed
+app.post('/cpux/runs/:contextId/cancel', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+
+  if (!cancelRun(run, req.body && req.body.reason)) {
+    return res.status(409).json({ error: 'Run already terminated', contextId: run.contextId, state: run.state });
+  }
+
+  res.json({ contextId: run.contextId, state: run.state, termination: run.termination });
+});
+
+// Line 526: Start CPUX server
+transport.listen(app, CPUX_PORT, () => {
   console.log(`🚀 Clean CPUX Server running on port ${CPUX_PORT}`);
-  console.log(`Context ID: ${CPUX_CONTEXT_ID}`);
   console.log(`Ready to receive DN emissions at /cpux/intention`);
+  console.log(`Start additional runs with POST /cpux/runs`);
+  
+  // Publish the CPUX key before any member has to verify an /execute call
+  const identity = claimIdentity('CPUX');
+  console.log(`Signing as ${identity.nodeId} (key ${identity.keyId})`);
   
-  // Line 343: Start CPUX execution
+  // Line 536: Resume unfinished runs under their original context IDs
+  const recovered = recoverRuns();
+  recovered.forEach(run => {
+    executeSequencePass(run).then(() => checkTermination(run)).catch(error => {
+      console.error(`Recovered run ${run.contextId} failed:`, error.message);
+    });
+  });
+  
+  // Line 544: Re-dispatch DN instances whose replica leaves the registry
+  startReplicaWatch();
+  
+  // Line 547: Start the initial CPUX run
   setTimeout(() => {
     console.log("\nStarting CPUX execution...");
-    executeCPUX(CPUXDefinition).catch(console.error);
+    const run = createRun(getDefinition(DEFAULT_CPUX_ID));
+    console.log(`Context ID: ${run.contextId}`);
+    executeCPUX(run).catch(console.error);
   }, 1000);
 });
 
 module.exports = {
+  app,
+  createRun,
   executeCPUX,
-  CPUXDefinition,
+  runs,
+  getDefinition,
   fieldAbsorb,
   fieldMatch
-};
\ No newline at end of file
+};
@@ -3,98 +3,11 @@
 // Shows how the same DN type can have multiple instances in one CPUX
 
 const axios = require('axios');
+const { reloadDefinitions, getDefinition } = require('./utils/definitions');
 
-// Line 5: Test CPUX with multiple DN2 instances
-const DEMO_CPUX_DEFINITION = {
-  cpuxId: "demo_multi_instance_cpux",
-  contextId: "USER_123_SESSION_456", // User/operator context
-  
-  // Line 10: Initial intention that creates the field
-  startIntention: {
-    name: "start_multi_process",
-    signal: [{ name: "start_multi_process", TV: "Y", response: "initiated" }],
-    target: "O1"
-  },
-  
-  // Line 16: Sequence with multiple DN2 instances
-  sequence: [
-    {
-      stepId: 1,
-      type: "intention-to-object",
-      intention: "prepare_data_batch_1",
-      designTimeSignal: [{ name: "start_multi_process", TV: "Y" }],
-      source: "CPUX",
-      target: "O1",
-      consumeSignal: false
-    },
-    {
-      stepId: 2, 
-      type: "object-reflection", 
-      intention: "process_batch_1",
-      designTimeSignal: [{ name: "start_multi_process", TV: "Y" }],
-      source: "O1",
-      target: "DN2", // FIRST DN2 instance
-      consumeSignal: false
-    },
-    {
-      stepId: 3,
-      type: "dn-emission",
-      intention: "batch_1_complete", 
-      designTimeSignal: [{ name: "batch_1_result", TV: "Y" }],
-      source: "DN2",
-      target: "O1",
-      consumeSignal: false
-    },
-    {
-      stepId: 4,
-      type: "intention-to-object",
-      intention: "prepare_data_batch_2",
-      designTimeSignal: [{ name: "batch_1_result", TV: "Y" }],
-      source: "O1", 
-      target: "DN1",
-      consumeSignal: true
-    },
-    {
-      stepId: 5,
-      type: "dn-emission",
-      intention: "batch_2_ready",
-      designTimeSignal: [{ name: "batch_2_data", TV: "Y" }],
-      source: "DN1",
-      target: "O1",
-      consumeSignal: false
-    },
-    {
-      stepId: 6,
-      type: "intention-to-object", 
-      intention: "process_batch_2",
-      designTimeSignal: [{ name: "batch_2_data", TV: "Y" }],
-      source: "O1",
-      target: "DN2", // SECOND DN2 instance (same DN type, different instance)
-      consumeSignal: true
-    },
-    {
-      stepId: 7,
-      type: "dn-emission",
-      intention: "batch_2_complete", 
-      designTimeSignal: [{ name: "batch_2_result", TV: "Y" }],
-      source: "DN2",
-      target: "O1",
-      consumeSignal: false
-    },
-    {
-      stepId: 8,
-      type: "intention-to-object",
-      intention: "finalize_results",
-      designTimeSignal: [
-        { name: "batch_1_result", TV: "Y" },
-        { name: "batch_2_result", TV: "Y" }
-      ],
-      source: "O1", 
-      target: "DN3",
-      consumeSignal: true
-    }
-  ]
-};
+// Line 5: Test CPUX with multiple DN2 instances (definitions/demo_multi_instance_cpux.v1.json)
+reloadDefinitions();
+const DEMO_CPUX_DEFINITION = getDefinition("demo_multi_instance_cpux", 1);
 
 // Line 79: Function to demonstrate instance tracking
 async function demonstrateInstanceTracking() {
@@ -215,6 +128,35 @@ async function demonstrateBusyInstanceRejection() {
   }
 }
 
+// Line 181: Function to show a caller-supplied context traced through CPUX, Objects and DNs
+async function demonstrateContextPropagation() {
+  console.log("\n=== Demonstrating Context and Correlation Propagation ===\n");
+  
+  // The user session is the caller's context; it travels as the correlation ID of every run it starts,
+  // while each run gets its own context ID - a session may start any number of runs
+  const sessionId = DEMO_CPUX_DEFINITION.contextId;
+  const cpuxServerUrl = "http://localhost:3000";
+  
+  try {
+    for (const attempt of [1, 2]) {
+      const contextId = `${sessionId}_run${attempt}_${Date.now()}`;
+      console.log(`Starting run ${contextId} for session ${sessionId}...`);
+      const started = await axios.post(`${cpuxServerUrl}/cpux/runs`, { contextId, correlationId: sessionId });
+      console.log("Run started:", started.data);
+    }
+    
+    // Every /execute payload and every emission now carries the session as correlation ID
+    await new Promise(resolve => setTimeout(resolve, 3000));
+    const listed = await axios.get(`${cpuxServerUrl}/cpux/runs`);
+    const sessionRuns = listed.data.runs.filter(run => run.correlationId === sessionId);
+    sessionRuns.forEach(run => console.log(`Run ${run.contextId} (correlation ${run.correlationId}) is ${run.state}`));
+    
+  } catch (error) {
+    console.log("Note: This demo requires the CPUX, Object and DN servers to be running.");
+    console.log(`Error: ${error.message}`);
+  }
+}
+
 // Line 183: Main demonstration function
 async function runDemo() {
   console.log("DN Instance Context Identification Demo\n");
@@ -229,12 +171,14 @@ async function runDemo() {
   
   await simulateConcurrentRequests();
   await demonstrateBusyInstanceRejection();
+  await demonstrateContextPropagation();
   
   console.log("\n=== Summary ===");
   console.log("✅ Each DN instance has unique ID: contextId:stepId:dnType");
   console.log("✅ Multiple instances of same DN type can run concurrently");
   console.log("✅ Busy instances reject new requests while processing");
   console.log("✅ Context isolation ensures proper CPUX separation");
+  console.log("✅ Caller context and correlation IDs are echoed by every member");
 }
 
 // Line 204: Run the demo
@@ -246,5 +190,6 @@ module.exports = {
   DEMO_CPUX_DEFINITION,
   demonstrateInstanceTracking,
   simulateConcurrentRequests,
-  demonstrateBusyInstanceRejection
+  demonstrateBusyInstanceRejection,
+  demonstrateContextPropagation
 };
\ No newline at end of file
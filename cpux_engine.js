@@ -0,0 +1,1606 @@
+// cpux_engine.js
+// Reactive CPUX engine: run state, field operations and field-gated step execution
+// Shared by clean_cpux_server.js (HTTP) and offline tools such as replay_run.js
+
+const transport = require('./utils/transport');
+const { EventEmitter } = require('events');
+const { FINAL_TARGETS } = require('./utils/targets');
+const { resolveTarget, listInstances, unknownTargetError } = require('./utils/registry');
+const { appendJournalEntry, readJournals, archiveJournal } = require('./utils/journal');
+const { deliverWithRetry, deliveryPolicyOf } = require('./utils/delivery');
+const { getDefinition } = require('./utils/definitions');
+// Line 13: Pure field operations - Y/N/U truth values, missing pulse = U
+const { fieldAbsorb, fieldMatch, pulseTV, describeGatePulse, signalProblems } = require('./utils/field');
+const { branchOf, guardOf, alternativeLabel } = require('./utils/validator');
+const { loadIdentity, signedHeaders } = require('./utils/identity');
+
+// Line 18: CPUX run registry - every run owns its own field, log and DN table
+const runs = new Map(); // contextId -> run state
+
+// Line 21: Settled runs leave the registry for a bounded archive of the most recent ones, like their journals
+const SETTLED_RUNS_KEPT = Number(process.env.CPUX_SETTLED_RUNS_KEPT) || 100;
+const settledRuns = new Map(); // contextId -> run state, oldest first
+
+// Line 26: Pass dispatch policy - parallel member calls unless a definition or run opts into 'ordered';
+// balance picks the DN replica for each instance: 'least-loaded' or 'round-robin'
+const DEFAULT_DISPATCH = { mode: 'parallel', concurrency: 8, balance: 'least-loaded' };
+
+// Line 29: How often pinned DN replicas are checked against the registry
+const REPLICA_WATCH_MS = 2000;
+
+// Line 32: Members the engine calls answer POST /execute; IPTP nodes registered under the same IDs are never picked
+const MEMBER_PROTOCOL = 'cpux';
+
+// Line 35: Re-armable steps fire at most this many times per run unless the definition or step sets maxIterations
+const DEFAULT_MAX_ITERATIONS = 10;
+
+// Live run events for subscribers (SSE) - emitted under the run's contextId after each event is applied
+const runEvents = new EventEmitter();
+runEvents.setMaxListeners(0);
+
+// Line 42: Build an empty in-memory run state
+function newRunState(contextId, cpuxDef, startedAt, starter = null, dispatch = null, correlationId = null) {
+  return {
+    contextId,
+    correlationId: correlationId || contextId, // Traces one operator/session request across runs and members
+    definition: cpuxDef,
+    dispatch: { ...DEFAULT_DISPATCH, ...(cpuxDef.dispatch || {}), ...(dispatch || {}) }, // Run override > definition > default
+    starter, // { callbackUrl, delivery } when the starter wants the result pushed back; { parent, seedSignal } for child runs
+    cpuxField: {}, // The semantic field of this run
+    pulseVersions: new Map(), // pulse name -> times absorbed; each absorption gives the field pulse a newer version
+    fieldHistory: new Map(), // pulse name -> [{ event: absorbed | consumed | restored, version, seq, ... }] full lineage
+    executionLog: new Set(), // Track completed steps
+    memberStatus: new Map(), // Track DN instance states
+    pins: new Map(), // dnInstanceId -> { memberId, registrationId, url, at } replica serving a busy DN instance
+    stepAttempts: new Map(), // stepKey -> attempts made (steps with a deadline or retry policy)
+    retryPending: new Map(), // stepKey -> { attempt, delayMs } while a retry is scheduled
+    timedOutSteps: new Map(), // stepKey -> { attempts, reason, at } once retries ran out
+    timers: new Map(), // `${kind}:${stepKey}` -> live setTimeout handle (never journaled)
+    passesInFlight: 0, // Sequence passes currently running (never journaled)
+    dispatching: new Map(), // stepKey -> pass that is dispatching it right now (never journaled)
+    prefetched: new Map(), // stepKey -> { payload, reply } member call already sent by a parallel pass
+    consumedPulses: [], // { name, TV, stepKey, stepId, instanceId, at, restoredAt? } sucked out of the field by consumeSignal steps
+    consumedSignals: new Map(), // stepKey -> full pulses its latest dispatch consumed, restored if its replica is lost
+    lastSeq: 0, // Sequence number of the last event (journal seq when journaling)
+    state: 'running', // running | completed | stuck | failed | cancelled
+    termination: null, // { state, at, reason, pendingSteps } once the run has ended
+    result: null, // { stepId, intention, signal, at } produced by the final step
+    delivery: null, // { callbackUrl, status, attempts, ... } of the result callback
+    resultWaiters: [], // Wait-for-result requests resolved on termination (never journaled)
+    children: new Map(), // stepKey -> contextId of the child CPUX currently serving a 'cpux' step
+    branches: new Map(), // branchId -> { index, label, takenSteps, skippedSteps, at } once an alternative is taken
+    skippedSteps: new Map(), // stepKey -> { branchId, label } steps of alternatives that were not taken
+    stepIterations: new Map(), // stepKey -> { count, gateVersions } of re-armable steps - gate pulse versions they last fired on
+    iterationCapped: new Set(), // stepKeys of re-armable steps that reached their iteration cap
+    startedAt
+  };
+}
+
+// Line 83: Create an isolated run state for one CPUX instance
+// starter: optional { callbackUrl, delivery } or { parent, seedSignal } - journaled so a restart keeps it
+// dispatch: optional { mode, concurrency } overriding the definition for this run
+// trace: optional { contextId, correlationId } supplied by the caller instead of generated IDs
+function createRun(cpuxDef, starter = null, dispatch = null, trace = {}) {
+  const contextId = trace.contextId || `CPUX_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  if (runs.has(contextId)) {
+    throw new Error(`A run with context ${contextId} already exists`);
+  }
+  const run = newRunState(contextId, cpuxDef, new Date().toISOString(), starter, dispatch, trace.correlationId);
+  
+  // The full definition is journaled so a resumed run keeps its version even if the catalog changed
+  recordRunEvent(run, {
+    type: 'run_started',
+    contextId,
+    cpuxId: cpuxDef.cpuxId,
+    version: cpuxDef.version,
+    definition: cpuxDef,
+    starter,
+    dispatch,
+    correlationId: run.correlationId,
+    startedAt: run.startedAt
+  });
+  
+  runs.set(contextId, run);
+  return run;
+}
+
+// Line 108: Apply one run event to memory - shared by live execution and journal recovery
+function applyRunEvent(run, event) {
+  if (event.seq) {
+    run.lastSeq = event.seq;
+  }
+  
+  switch (event.type) {
+    case 'field_absorbed':
+      run.cpuxField = { ...run.cpuxField };
+      event.pulses.forEach(pulse => {
+        const version = (run.pulseVersions.get(pulse.name) || 0) + 1;
+        const provenance = provenanceOf(event);
+        run.pulseVersions.set(pulse.name, version);
+        run.cpuxField[pulse.name] = { ...pulse, version, provenance };
+        recordPulseHistory(run, pulse.name, { event: 'absorbed', version, TV: pulse.TV, response: pulse.response, ...provenance });
+      });
+      break;
+    case 'pulses_consumed':
+      run.consumedSignals.set(event.stepKey, event.pulses);
+      run.cpuxField = { ...run.cpuxField };
+      event.pulses.forEach(pulse => {
+        delete run.cpuxField[pulse.name];
+        run.consumedPulses.push({
+          name: pulse.name,
+          TV: pulse.TV,
+          stepKey: event.stepKey,
+          stepId: event.stepId,
+          instanceId: event.instanceId,
+          at: event.at
+        });
+        recordPulseHistory(run, pulse.name, {
+          event: 'consumed',
+          version: pulse.version || null,
+          seq: event.seq || null,
+          at: event.at,
+          stepId: event.stepId,
+          stepKey: event.stepKey,
+          instanceId: event.instanceId || null
+        });
+      });
+      break;
+    case 'pulses_restored':
+      run.consumedSignals.delete(event.stepKey);
+      run.cpuxField = { ...run.cpuxField };
+      event.pulses.forEach(pulse => {
+        run.cpuxField[pulse.name] = pulse;
+        const consumption = run.consumedPulses.find(entry =>
+          entry.name === pulse.name && entry.stepKey === event.stepKey && !entry.restoredAt);
+        if (consumption) {
+          consumption.restoredAt = event.at;
+        }
+        recordPulseHistory(run, pulse.name, {
+          event: 'restored',
+          version: pulse.version || null,
+          seq: event.seq || null,
+          at: event.at,
+          stepId: event.stepId,
+          stepKey: event.stepKey
+        });
+      });
+      break;
+    case 'step_executed':
+      run.executionLog.add(event.stepKey);
+      if (event.gateVersions) {
+        run.stepIterations.set(event.stepKey, { count: event.iteration, gateVersions: event.gateVersions });
+      }
+      break;
+    case 'step_rearmed':
+      run.executionLog.delete(event.stepKey);
+      run.stepAttempts.delete(event.stepKey);
+      run.timedOutSteps.delete(event.stepKey);
+      break;
+    case 'iteration_cap_reached':
+      run.iterationCapped.add(event.stepKey);
+      break;
+    case 'dn_status':
+      run.memberStatus.set(event.dnInstanceId, event.status);
+      if (event.replica) {
+        run.pins.set(event.dnInstanceId, { ...event.replica, at: event.at });
+      } else if (event.status !== 'busy') {
+        run.pins.delete(event.dnInstanceId);
+      }
+      break;
+    case 'instance_lost':
+      run.executionLog.delete(event.stepKey);
+      run.memberStatus.set(event.dnInstanceId, 'ready');
+      run.pins.delete(event.dnInstanceId);
+      break;
+    case 'step_attempt':
+      run.stepAttempts.set(event.stepKey, event.attempt);
+      break;
+    case 'retry_scheduled':
+      run.retryPending.set(event.stepKey, { attempt: event.attempt, delayMs: event.delayMs });
+      break;
+    case 'timer_fired':
+      if (event.kind === 'retry') {
+        run.retryPending.delete(event.stepKey);
+      }
+      break;
+    case 'step_timed_out':
+      run.executionLog.add(event.stepKey);
+      run.timedOutSteps.set(event.stepKey, { attempts: event.attempts, reason: event.reason, at: event.at });
+      break;
+    case 'run_terminated':
+      run.state = event.state;
+      run.termination = { state: event.state, at: event.at, reason: event.reason, pendingSteps: event.pendingSteps || [] };
+      if (event.state === 'completed') {
+        run.completedAt = event.at;
+      }
+      if (run.starter && run.starter.callbackUrl) {
+        run.delivery = { callbackUrl: run.starter.callbackUrl, status: 'pending', attempts: 0 };
+      }
+      break;
+    case 'member_called':
+      if (event.response && event.response.childContextId) {
+        run.children.set(`${event.stepId}:${event.payload.intention}:${event.target}`, event.response.childContextId);
+      }
+      break;
+    case 'branch_taken':
+      run.branches.set(event.branchId, {
+        index: event.index,
+        label: event.label,
+        takenSteps: event.takenSteps,
+        skippedSteps: event.skippedSteps,
+        at: event.at
+      });
+      event.skippedSteps.forEach(stepKey => run.skippedSteps.set(stepKey, { branchId: event.branchId, label: event.label }));
+      break;
+    case 'result_produced':
+      run.result = { stepId: event.stepId, intention: event.intention, signal: event.signal, at: event.at };
+      break;
+    case 'result_delivery':
+      run.delivery = {
+        ...run.delivery,
+        status: event.status === 'retrying' ? 'pending' : event.status,
+        attempts: event.attempt,
+        httpStatus: event.httpStatus,
+        lastError: event.error || null,
+        ...(event.status === 'delivered' ? { deliveredAt: event.at } : {})
+      };
+      break;
+    case 'run_completed': // Journals written before run_terminated existed
+      run.state = 'completed';
+      run.termination = { state: 'completed', at: event.at, reason: 'all_steps_executed', pendingSteps: [] };
+      run.completedAt = event.at;
+      break;
+  }
+}
+
+// Who put a pulse version into the field - from the field_absorbed event that carried it
+function provenanceOf(event) {
+  return {
+    seq: event.seq || null,
+    at: event.at || null,
+    source: event.source || null,
+    intention: event.intention || null,
+    stepId: event.stepId !== undefined ? event.stepId : null,
+    dnInstanceId: event.dnInstanceId || null,
+    objectInstanceId: event.objectInstanceId || null
+  };
+}
+
+function recordPulseHistory(run, name, entry) {
+  if (!run.fieldHistory.has(name)) {
+    run.fieldHistory.set(name, []);
+  }
+  run.fieldHistory.get(name).push(entry);
+}
+
+// Line 278: Write-ahead: journal the event first, then apply it
+// Replayed and simulated runs never touch the journal; their events are collected instead
+function recordRunEvent(run, event) {
+  const record = (!run.replay && appendJournalEntry(run.contextId, event)) ||
+    { seq: run.lastSeq + 1, at: new Date(nowOf(run)).toISOString(), ...event };
+  
+  if (run.replay) {
+    run.replay.events.push(record);
+  }
+  
+  applyRunEvent(run, record);
+  
+  if (!run.replay) {
+    runEvents.emit(run.contextId, record);
+  }
+  return record;
+}
+
+// Wall-clock time, or the virtual time of a simulated run
+function nowOf(run) {
+  return run.replay && run.replay.clock ? run.replay.clock.now() : Date.now();
+}
+
+// Line 300: Absorb a signal into a run's field through the journal
+function absorbIntoRun(run, signal, origin) {
+  const pulses = Object.values(fieldAbsorb(signal, {}));
+  recordRunEvent(run, { type: 'field_absorbed', pulses, ...origin });
+}
+
+// Line 306: Rebuild unfinished runs from their journals after a restart
+function recoverRuns() {
+  const recovered = [];
+  
+  for (const { contextId, entries } of readJournals()) {
+    const started = entries.find(entry => entry.type === 'run_started');
+    if (!started) {
+      continue;
+    }
+    
+    const run = newRunState(contextId, started.definition, started.startedAt, started.starter || null, started.dispatch || null, started.correlationId);
+    entries.forEach(entry => applyRunEvent(run, entry));
+    
+    // Terminated runs (any state) are not resumed after a restart - only an unfinished callback is;
+    // the journal is archived once nothing is left to do, so the next restart skips it
+    if (run.termination) {
+      if (run.delivery && run.delivery.status === 'pending') {
+        runs.set(contextId, run);
+        console.log(`♻️  Resuming result delivery for ${contextId} after ${run.delivery.attempts} attempt(s)`);
+      }
+      settleRun(run);
+      continue;
+    }
+    run.recoveredAt = new Date().toISOString();
+    
+    rearmTimers(run);
+    runs.set(contextId, run);
+    recovered.push(run);
+    console.log(`♻️  Recovered run ${contextId} (${started.cpuxId} v${started.version}) from ${entries.length} journal entries`);
+  }
+  
+  return recovered;
+}
+
+// Line 340: Initialize DN instance tracking
+function initializeDNStatus(run) {
+  run.definition.sequence.forEach(step => {
+    if (isAsyncStep(step)) {
+      recordRunEvent(run, { type: 'dn_status', dnInstanceId: dnInstanceIdOf(run, step), status: 'ready' });
+    }
+  });
+}
+
+// Line 349: Pure CPUX execution - no loops, no waiting
+async function executeCPUX(run) {
+  const { cpuxId, startIntention } = run.definition;
+  
+  console.log(`\n=== CPUX ${cpuxId} v${run.definition.version} Starting (${run.contextId}, correlation ${run.correlationId}) ===`);
+  
+  // Line 355: Initialize field with start intention
+  absorbIntoRun(run, startIntention.signal, { source: 'STARTER', intention: startIntention.name });
+  
+  // A child run is also seeded with the signal its parent step sent
+  if (run.starter && run.starter.seedSignal) {
+    absorbIntoRun(run, run.starter.seedSignal, { source: run.starter.parent.contextId, intention: run.starter.parent.intention });
+  }
+  console.log("Initial field:", Object.keys(run.cpuxField));
+  
+  // Line 364: Initialize DN status
+  initializeDNStatus(run);
+  
+  // Line 367: Execute sequence - pure pass through
+  await executeSequencePass(run);
+  
+  console.log(`\n=== CPUX ${cpuxId} Initial Pass Complete (${run.contextId}) ===`);
+  console.log("Field state:", Object.keys(run.cpuxField));
+  console.log("Executed steps:", Array.from(run.executionLog));
+  
+  // Line 375: That's it! No loops. DNs will emit back when ready.
+  // Unless nothing is in flight - then the run already has its terminal state
+  if (checkTermination(run) === 'running') {
+    console.log("✅ CPUX is now reactive - waiting for DN emissions");
+  }
+  return run;
+}
+
+// Line 382: Execute one clean pass through the sequence
+async function executeSequencePass(run) {
+  // A terminated run never dispatches again
+  if (run.termination) {
+    return 0;
+  }
+  
+  run.passesInFlight++;
+  try {
+    return await runSequencePass(run);
+  } finally {
+    run.passesInFlight--;
+  }
+}
+
+async function runSequencePass(run) {
+  let passActivations = 0;
+  let gaveUp = 0;
+  const pass = {}; // Identity of this pass in run.dispatching
+  
+  console.log(`\n--- Executing Sequence Pass (${run.contextId}, ${run.dispatch.mode}) ---`);
+  
+  // Line 405: Parallel mode sends every eligible member call up front; results are still committed
+  // below in sequence order, so the journal (and a replay) does not depend on network timing
+  rearmSteps(run);
+  decideBranches(run);
+  if (run.dispatch.mode === 'parallel' && !run.replay) {
+    prefetchMemberCalls(run, pass, eligibleSteps(run));
+  }
+  
+  for (const step of run.definition.sequence) {
+    // Cancelled while an earlier step of this pass was being dispatched
+    if (run.termination) {
+      break;
+    }
+    
+    const stepKey = stepKeyOf(step);
+    
+    // Line 420: Skip if already executed
+    if (run.executionLog.has(stepKey)) {
+      console.log(`Step ${step.stepId}: ${step.intention} → Already executed`);
+      continue;
+    }
+    
+    // Line 426: Exclusive branches - only the steps of the alternative that was taken may run
+    if (run.skippedSteps.has(stepKey)) {
+      console.log(`Step ${step.stepId}: ${step.intention} → Skipped (branch ${run.skippedSteps.get(stepKey).branchId})`);
+      continue;
+    }
+    if (branchStatus(run, step) === 'undecided') {
+      decideBranches(run); // Earlier steps of this pass may have changed the field
+    }
+    const branch = branchStatus(run, step);
+    if (branch === 'undecided' || branch === 'skipped') {
+      console.log(`Step ${step.stepId}: ${step.intention} → ${branch === 'skipped' ? 'Skipped' : 'Waiting for its branch to be decided'}`);
+      continue;
+    }
+    
+    // Line 440: A scheduled retry owns the next dispatch of this step
+    if (run.retryPending.has(stepKey)) {
+      console.log(`Step ${step.stepId}: ${step.intention} → Retry scheduled`);
+      continue;
+    }
+    
+    // Line 446: Another pass (triggered by a concurrent emission) is dispatching it
+    const owner = run.dispatching.get(stepKey);
+    if (owner && owner !== pass) {
+      console.log(`Step ${step.stepId}: ${step.intention} → Being dispatched by another pass`);
+      continue;
+    }
+    
+    // Line 453: Check field match - deterministic (prefetched steps were matched at the start of the pass)
+    const fieldMatches = owner === pass || fieldMatch(run.cpuxField, step.designTimeSignal);
+    
+    if (!fieldMatches) {
+      console.log(`Step ${step.stepId}: ${step.intention} → Field mismatch`);
+      console.log(`  Required: ${step.designTimeSignal.map(p => `${p.name}:${p.TV}`).join(', ')}`);
+      console.log(`  Available: ${Object.keys(run.cpuxField).map(name => `${name}:${run.cpuxField[name].TV}`).join(', ')}`);
+      continue;
+    }
+    
+    // Line 463: Execute step based on type
+    run.dispatching.set(stepKey, pass);
+    let outcome;
+    try {
+      outcome = await dispatchStep(run, step);
+    } finally {
+      run.dispatching.delete(stepKey);
+      run.prefetched.delete(stepKey);
+    }
+    
+    if (outcome === 'executed') {
+      passActivations++;
+      console.log(`Step ${step.stepId}: ${step.intention} → ✅ Executed`);
+    } else if (outcome === 'gave_up') {
+      gaveUp++;
+    }
+  }
+  
+  // Prefetched calls the loop never reached (the run was terminated mid-pass)
+  run.dispatching.forEach((owner, stepKey) => {
+    if (owner === pass) {
+      run.dispatching.delete(stepKey);
+      run.prefetched.delete(stepKey);
+    }
+  });
+  
+  console.log(`Pass complete: ${passActivations} activations`);
+  
+  // Line 491: Timeout pulses absorbed during this pass may open steps earlier in the sequence
+  if (gaveUp > 0) {
+    passActivations += await runSequencePass(run);
+  }
+  
+  return passActivations;
+}
+
+// Line 499: Steps whose gate matches now and that nobody is dispatching
+function eligibleSteps(run) {
+  return run.definition.sequence.filter(step => {
+    const stepKey = stepKeyOf(step);
+    return !run.executionLog.has(stepKey) &&
+      ['open', 'taken'].includes(branchStatus(run, step)) &&
+      !run.retryPending.has(stepKey) &&
+      !run.dispatching.has(stepKey) &&
+      fieldMatch(run.cpuxField, step.designTimeSignal);
+  });
+}
+
+// Line 512: Where a step stands with respect to exclusive branches:
+// 'open' (in no branch), 'undecided', 'taken' or 'skipped'
+function branchStatus(run, step) {
+  const membership = branchOf(run.definition, step);
+  if (!membership) {
+    return 'open';
+  }
+  const decision = run.branches.get(membership.branch.branchId);
+  if (!decision) {
+    return 'undecided';
+  }
+  return decision.index === membership.index ? 'taken' : 'skipped';
+}
+
+// Take the first alternative of each undecided branch whose guard matches the field;
+// the steps of its sibling alternatives are recorded as skipped
+function decideBranches(run) {
+  for (const branch of run.definition.branches || []) {
+    if (run.branches.has(branch.branchId)) {
+      continue;
+    }
+    
+    const index = branch.alternatives.findIndex(alternative => fieldMatch(run.cpuxField, guardOf(run.definition, alternative)));
+    if (index === -1) {
+      continue;
+    }
+    
+    const stepKeysOf = alternative => run.definition.sequence
+      .filter(step => alternative.steps.includes(step.stepId))
+      .map(stepKeyOf);
+    const label = alternativeLabel(branch.alternatives[index], index);
+    const skippedSteps = branch.alternatives.filter((alternative, other) => other !== index).flatMap(stepKeysOf);
+    
+    console.log(`🔀 Branch ${branch.branchId}: taking ${label}, skipping ${skippedSteps.length} step(s)`);
+    recordRunEvent(run, {
+      type: 'branch_taken',
+      branchId: branch.branchId,
+      index,
+      label,
+      takenSteps: stepKeysOf(branch.alternatives[index]),
+      skippedSteps
+    });
+  }
+}
+
+// Line 556: Re-armable steps - { rearm: true } or { rearm: { maxIterations } }; 0 = fires once
+function iterationCapOf(run, step) {
+  if (!step.rearm) {
+    return 0;
+  }
+  return (typeof step.rearm === 'object' && step.rearm.maxIterations) || run.definition.maxIterations || DEFAULT_MAX_ITERATIONS;
+}
+
+function gateVersionsOf(run, step) {
+  return Object.fromEntries(step.designTimeSignal
+    .filter(pulse => run.cpuxField[pulse.name])
+    .map(pulse => [pulse.name, run.cpuxField[pulse.name].version]));
+}
+
+// Put executed re-armable steps back in play when a gate pulse was re-absorbed since they last fired
+// and the gate matches again; a step that is still busy or retrying keeps its current iteration
+function rearmSteps(run) {
+  for (const step of run.definition.sequence) {
+    const stepKey = stepKeyOf(step);
+    const cap = iterationCapOf(run, step);
+    const iterations = run.stepIterations.get(stepKey);
+    
+    if (!cap || !iterations || !run.executionLog.has(stepKey) ||
+        run.retryPending.has(stepKey) || run.dispatching.has(stepKey) ||
+        (isAsyncStep(step) && run.memberStatus.get(dnInstanceIdOf(run, step)) === 'busy')) {
+      continue;
+    }
+    
+    const newer = step.designTimeSignal.some(pulse =>
+      run.cpuxField[pulse.name] && run.cpuxField[pulse.name].version > (iterations.gateVersions[pulse.name] || 0));
+    if (!newer || !fieldMatch(run.cpuxField, step.designTimeSignal)) {
+      continue;
+    }
+    
+    if (iterations.count >= cap) {
+      if (!run.iterationCapped.has(stepKey)) {
+        console.log(`🔁 Step ${step.stepId}: ${step.intention} reached its cap of ${cap} iteration(s) - not re-armed`);
+        recordRunEvent(run, { type: 'iteration_cap_reached', stepKey, stepId: step.stepId, iterations: iterations.count });
+      }
+      continue;
+    }
+    
+    console.log(`🔁 Step ${step.stepId}: ${step.intention} re-armed for iteration ${iterations.count + 1}`);
+    recordRunEvent(run, { type: 'step_rearmed', stepKey, stepId: step.stepId, iteration: iterations.count + 1 });
+  }
+}
+
+// Line 604: Send the member calls of a pass concurrently, at most run.dispatch.concurrency at a time.
+// Only Object and DN calls are prefetched; child runs and final steps are local and run in order.
+function prefetchMemberCalls(run, pass, steps) {
+  // A step whose gate pulse an earlier step consumes only runs if that step is rejected - leave it to the loop
+  const consumedNames = new Set();
+  const uncontested = steps.filter(step => {
+    const gateNames = step.designTimeSignal.map(pulse => pulse.name);
+    const contested = gateNames.some(name => consumedNames.has(name));
+    if (step.consumeSignal) {
+      gateNames.forEach(name => consumedNames.add(name));
+    }
+    return !contested;
+  });
+  
+  const calls = uncontested.filter(step =>
+    step.type === 'object' ||
+    (step.type === 'dn' && run.memberStatus.get(dnInstanceIdOf(run, step)) === 'ready'));
+  
+  if (calls.length < 2) {
+    return; // Nothing to overlap
+  }
+  
+  console.log(`Dispatching ${calls.length} member calls in parallel (limit ${run.dispatch.concurrency})`);
+  
+  const limit = createLimiter(run.dispatch.concurrency);
+  calls.forEach(step => {
+    const stepKey = stepKeyOf(step);
+    const payload = buildPayload(run, step);
+    const reply = limit(() => sendToMember(run, step, payload)
+      .then(response => ({ response }), error => ({ error })));
+    
+    run.dispatching.set(stepKey, pass);
+    run.prefetched.set(stepKey, { payload, reply });
+  });
+}
+
+// Line 639: Run at most `concurrency` tasks at once; tasks must not reject
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+  
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve } = queue.shift();
+    task().then(result => {
+      active--;
+      resolve(result);
+      next();
+    });
+  };
+  
+  return task => new Promise(resolve => {
+    queue.push({ task, resolve });
+    next();
+  });
+}
+
+// Line 663: Step identity used by the execution log and the journal
+function stepKeyOf(step) {
+  return `${step.stepId}:${step.intention}:${step.target}`;
+}
+
+function dnInstanceIdOf(run, step) {
+  return `${run.contextId}:${step.stepId}:${step.target}`;
+}
+
+// DN and child CPUX steps are accepted now and emit back later
+function isAsyncStep(step) {
+  return step.type === 'dn' || step.type === 'cpux';
+}
+
+// Line 678: Deadline and retry policy declared on a step
+// { deadlineMs, retry: { maxAttempts, backoffMs, backoffFactor, maxBackoffMs }, timeoutPulse }
+function stepPolicy(step) {
+  const retry = step.retry || {};
+  return {
+    guarded: step.deadlineMs !== undefined || step.retry !== undefined,
+    deadlineMs: step.deadlineMs || null,
+    maxAttempts: retry.maxAttempts || 1,
+    backoffMs: retry.backoffMs !== undefined ? retry.backoffMs : 1000,
+    backoffFactor: retry.backoffFactor !== undefined ? retry.backoffFactor : 2,
+    maxBackoffMs: retry.maxBackoffMs !== undefined ? retry.maxBackoffMs : 30000
+  };
+}
+
+function backoffDelay(policy, attempt) {
+  return Math.min(policy.backoffMs * Math.pow(policy.backoffFactor, attempt - 1), policy.maxBackoffMs);
+}
+
+// Line 695: Pulse absorbed when a step runs out of attempts; TV "N" = the step did not deliver
+function timeoutPulseOf(step) {
+  return {
+    name: `${step.intention}_timeout`,
+    TV: 'N',
+    ...(step.timeoutPulse || {})
+  };
+}
+
+// Line 705: Dispatch one step, counting attempts for steps with a policy
+// Returns 'executed', 'failed' or 'gave_up'
+async function dispatchStep(run, step) {
+  const stepKey = stepKeyOf(step);
+  const policy = stepPolicy(step);
+  let attempt = 0;
+  
+  if (policy.guarded) {
+    attempt = (run.stepAttempts.get(stepKey) || 0) + 1;
+    recordRunEvent(run, { type: 'step_attempt', stepKey, stepId: step.stepId, attempt });
+  }
+  
+  // Re-armable steps remember which versions of their gate pulses they fired on (before consumeSignal removes them)
+  const iteration = iterationCapOf(run, step)
+    ? { iteration: (run.stepIterations.get(stepKey)?.count || 0) + 1, gateVersions: gateVersionsOf(run, step) }
+    : {};
+  
+  const executed = await executeStep(run, step);
+  
+  if (executed) {
+    recordRunEvent(run, { type: 'step_executed', stepKey, stepId: step.stepId, ...iteration });
+    
+    // DN work is only done when the DN emits back - hold it to the deadline
+    if (isAsyncStep(step) && policy.deadlineMs) {
+      scheduleTimer(run, { kind: 'deadline', stepKey, attempt }, policy.deadlineMs);
+    }
+    return 'executed';
+  }
+  
+  if (policy.guarded) {
+    return retryOrGiveUp(run, step, attempt, 'dispatch_failed');
+  }
+  return 'failed';
+}
+
+// Line 739: Schedule another attempt with backoff, or absorb the timeout pulse
+function retryOrGiveUp(run, step, attempt, reason) {
+  const stepKey = stepKeyOf(step);
+  const policy = stepPolicy(step);
+  
+  // The attempt took a consumeSignal step's gate pulses with it - hand them back to the field
+  // so the retry sends them again, or they stay in the field once the step gives up
+  restoreConsumedPulses(run, step, run.consumedSignals.get(stepKey) || [], reason);
+  
+  if (attempt < policy.maxAttempts) {
+    const delayMs = backoffDelay(policy, attempt);
+    console.log(`↻ Step ${step.stepId}: ${step.intention} attempt ${attempt}/${policy.maxAttempts} ${reason} - retrying in ${delayMs}ms`);
+    recordRunEvent(run, { type: 'retry_scheduled', stepKey, stepId: step.stepId, attempt, delayMs, reason });
+    scheduleTimer(run, { kind: 'retry', stepKey, attempt }, delayMs);
+    return 'failed';
+  }
+  
+  const timeoutPulse = timeoutPulseOf(step);
+  console.log(`⏰ Step ${step.stepId}: ${step.intention} gave up after ${attempt} attempt(s) (${reason}) - absorbing ${timeoutPulse.name}:${timeoutPulse.TV}`);
+  
+  recordRunEvent(run, { type: 'step_timed_out', stepKey, stepId: step.stepId, attempts: attempt, reason });
+  if (isAsyncStep(step)) {
+    recordRunEvent(run, { type: 'dn_status', dnInstanceId: dnInstanceIdOf(run, step), status: 'timed_out' });
+  }
+  absorbIntoRun(run, [{
+    ...timeoutPulse,
+    response: { stepId: step.stepId, intention: step.intention, attempts: attempt, reason }
+  }], { source: 'CPUX', intention: timeoutPulse.name, stepId: step.stepId });
+  
+  return 'gave_up';
+}
+
+// Line 773: Timers are live-only; their firing is journaled as an input like an emission
+// Replayed runs never arm timers - the recorded firings are fed back instead.
+// A simulated run arms them on its virtual clock ({ now, setTimeout, clearTimeout }).
+function scheduleTimer(run, timer, delayMs) {
+  const clock = run.replay ? run.replay.clock : null;
+  if (run.replay && !clock) {
+    return;
+  }
+  
+  const timerKey = `${timer.kind}:${timer.stepKey}`;
+  clearTimer(run, timer.kind, timer.stepKey);
+  
+  run.timers.set(timerKey, (clock || global).setTimeout(() => {
+    run.timers.delete(timerKey);
+    return handleTimer(run, timer).catch(error => {
+      console.error(`Timer ${timerKey} failed in ${run.contextId}:`, error.message);
+    });
+  }, delayMs));
+}
+
+function clearTimer(run, kind, stepKey) {
+  const timerKey = `${kind}:${stepKey}`;
+  if (!run.timers.has(timerKey)) {
+    return;
+  }
+  ((run.replay && run.replay.clock) || global).clearTimeout(run.timers.get(timerKey));
+  run.timers.delete(timerKey);
+}
+
+// Line 800: React to an expired deadline or a due retry
+async function handleTimer(run, timer) {
+  const step = run.definition.sequence.find(candidate => stepKeyOf(candidate) === timer.stepKey);
+  if (!step || run.termination) {
+    return 0;
+  }
+  
+  recordRunEvent(run, { type: 'timer_fired', ...timer });
+  
+  if (timer.kind === 'deadline') {
+    const dnInstanceId = dnInstanceIdOf(run, step);
+    
+    // Stale: the DN emitted in time, or a newer attempt owns the deadline
+    if (run.memberStatus.get(dnInstanceId) !== 'busy' || run.stepAttempts.get(timer.stepKey) !== timer.attempt) {
+      return 0;
+    }
+    
+    console.log(`⏰ DN instance ${dnInstanceId} missed its ${stepPolicy(step).deadlineMs}ms deadline (attempt ${timer.attempt})`);
+    detachChild(run, timer.stepKey, 'parent_deadline');
+    recordRunEvent(run, { type: 'dn_status', dnInstanceId, status: 'ready' });
+    retryOrGiveUp(run, step, timer.attempt, 'deadline_exceeded');
+  } else if (timer.kind === 'retry') {
+    await dispatchStep(run, step);
+  } else if (timer.kind === 'replica_lost') {
+    const dnInstanceId = dnInstanceIdOf(run, step);
+    const pin = run.pins.get(dnInstanceId);
+    
+    // Stale: the DN emitted first, or the instance has since moved to another replica
+    if (run.memberStatus.get(dnInstanceId) !== 'busy' || !pin || pin.registrationId !== timer.registrationId) {
+      return 0;
+    }
+    
+    // The work died with the replica - hand the step back so the pass below re-dispatches it elsewhere
+    console.log(`🔁 DN instance ${dnInstanceId} lost its replica ${pin.url} (${pin.registrationId}) - re-dispatching`);
+    clearTimer(run, 'deadline', timer.stepKey);
+    recordRunEvent(run, { type: 'instance_lost', stepKey: timer.stepKey, stepId: step.stepId, dnInstanceId, registrationId: pin.registrationId, url: pin.url });
+    restoreConsumedPulses(run, step, run.consumedSignals.get(timer.stepKey) || [], 'replica_lost');
+  }
+  
+  const activations = await executeSequencePass(run);
+  checkTermination(run);
+  return activations;
+}
+
+// Line 845: Watch the replicas busy DN instances are pinned to; one that left the registry
+// (deregistered, stopped heartbeating or failed /health) gets its instances re-dispatched
+async function checkPinnedReplicas() {
+  for (const run of runs.values()) {
+    if (run.replay || run.termination) {
+      continue;
+    }
+    
+    for (const step of run.definition.sequence.filter(candidate => candidate.type === 'dn')) {
+      const stepKey = stepKeyOf(step);
+      const dnInstanceId = dnInstanceIdOf(run, step);
+      const pin = run.pins.get(dnInstanceId);
+      if (!pin || run.memberStatus.get(dnInstanceId) !== 'busy') {
+        continue;
+      }
+      
+      let instances;
+      try {
+        instances = await listInstances(step.target, MEMBER_PROTOCOL);
+      } catch (error) {
+        // Nothing serves the DN type any more; a registry that is down proves nothing
+        if (!error.message.startsWith('Unknown target')) {
+          continue;
+        }
+        instances = [];
+      }
+      
+      if (!instances.some(instance => instance.registrationId === pin.registrationId)) {
+        await handleTimer(run, { kind: 'replica_lost', stepKey, attempt: run.stepAttempts.get(stepKey) || 0, registrationId: pin.registrationId });
+      }
+    }
+  }
+}
+
+function startReplicaWatch(intervalMs = REPLICA_WATCH_MS) {
+  let checking = false;
+  const watch = setInterval(() => {
+    if (checking) {
+      return;
+    }
+    checking = true;
+    checkPinnedReplicas()
+      .catch(error => console.error('Replica watch failed:', error.message))
+      .finally(() => { checking = false; });
+  }, intervalMs);
+  watch.unref();
+  return watch;
+}
+
+// Line 893: After recovery, restart the clocks for busy DNs and pending retries
+function rearmTimers(run) {
+  for (const step of run.definition.sequence) {
+    const stepKey = stepKeyOf(step);
+    const policy = stepPolicy(step);
+    
+    if (run.retryPending.has(stepKey)) {
+      const { attempt, delayMs } = run.retryPending.get(stepKey);
+      scheduleTimer(run, { kind: 'retry', stepKey, attempt }, delayMs);
+    } else if (isAsyncStep(step) && policy.deadlineMs &&
+               run.memberStatus.get(dnInstanceIdOf(run, step)) === 'busy') {
+      scheduleTimer(run, { kind: 'deadline', stepKey, attempt: run.stepAttempts.get(stepKey) }, policy.deadlineMs);
+    }
+  }
+}
+
+// Line 909: IPTP payload for a step - its gate pulses with the responses currently in the field
+function buildPayload(run, step) {
+  const signalToSend = step.designTimeSignal.map(pulseSpec => {
+    const fieldPulse = run.cpuxField[pulseSpec.name];
+    return {
+      name: pulseSpec.name,
+      TV: pulseSpec.TV,
+      response: fieldPulse?.response || null
+    };
+  });
+  
+  return {
+    cpuxId: run.contextId,
+    contextId: run.contextId, // Members echo contextId and correlationId in every emission
+    correlationId: run.correlationId,
+    stepId: step.stepId,
+    intention: step.intention,
+    signal: signalToSend,
+    target: step.target,
+    dnInstanceId: isAsyncStep(step) ? dnInstanceIdOf(run, step) : null,
+    consumeSignal: !!step.consumeSignal, // Removed from the CPUX field while the target holds it
+    // An Object 'absorb's the signal into its field or evaluates a 'copy' without keeping it;
+    // DNs keep no field, so to them both are a copy of their input
+    targetConsumption: step.targetConsumption || 'absorb'
+  };
+}
+
+// Line 936: Execute individual step - clean and deterministic
+async function executeStep(run, step) {
+  let consumed = [];
+  let executed = false;
+  
+  try {
+    // Line 942: Prepare signal from field - a parallel pass already sent it
+    const prefetched = run.prefetched.get(stepKeyOf(step));
+    const payload = prefetched ? prefetched.payload : buildPayload(run, step);
+    const signalToSend = payload.signal;
+    
+    // Line 947: Rule 2b - a consuming step sucks its gate pulses out of the field before it is sent
+    consumed = consumeGatePulses(run, step);
+    
+    // Line 950: Handle different step types
+    if (step.type === 'object') {
+      executed = await executeObjectStep(run, step, payload);
+    } else if (isAsyncStep(step)) {
+      executed = await executeDNStep(run, step, payload);
+    } else if (step.type === 'final') {
+      executed = executeFinalStep(run, step, signalToSend);
+    }
+    
+  } catch (error) {
+    console.error(`Error executing step ${step.stepId}:`, error.message);
+  }
+  
+  // Line 963: The target rejected the work or could not be reached - give the pulses back
+  if (!executed && consumed.length > 0) {
+    restoreConsumedPulses(run, step, consumed);
+  }
+  
+  return executed;
+}
+
+// Line 971: Remove a consumeSignal step's gate pulses from the field (journaled with the step instance)
+function consumeGatePulses(run, step) {
+  if (!step.consumeSignal) {
+    return [];
+  }
+  
+  const pulses = step.designTimeSignal
+    .map(pulseSpec => run.cpuxField[pulseSpec.name])
+    .filter(Boolean);
+  
+  if (pulses.length > 0) {
+    recordRunEvent(run, {
+      type: 'pulses_consumed',
+      stepKey: stepKeyOf(step),
+      stepId: step.stepId,
+      instanceId: dnInstanceIdOf(run, step),
+      pulses
+    });
+    console.log(`  Consumed ${pulses.map(p => `${p.name}:${p.TV}`).join(', ')} into ${step.target}`);
+  }
+  
+  return pulses;
+}
+
+// Line 995: Put consumed pulses back, unless something absorbed a newer pulse of the same name meanwhile
+function restoreConsumedPulses(run, step, consumed, reason = 'target_rejected') {
+  const pulses = consumed.filter(pulse => !run.cpuxField[pulse.name]);
+  if (pulses.length === 0) {
+    return;
+  }
+  
+  recordRunEvent(run, { type: 'pulses_restored', stepKey: stepKeyOf(step), stepId: step.stepId, pulses, reason });
+  const why = reason === 'target_rejected' ? 'did not take the work' : reason === 'replica_lost' ? 'replica was lost' : `attempt ended: ${reason}`;
+  console.log(`  Restored ${pulses.map(p => `${p.name}:${p.TV}`).join(', ')} - ${step.target} ${why}`);
+}
+
+// Line 1007: Execute object step - synchronous reflection
+async function executeObjectStep(run, step, payload) {
+  console.log(`→ Sending to Object ${step.target}: ${step.intention} [${run.correlationId}]`);
+  
+  try {
+    // Line 1012: Object executes synchronously and may reflect immediately
+    const response = await callMember(run, step, payload);
+    
+    // Objects handle their own reflections via async emission to CPUX
+    // We just mark this step as complete
+    return true;
+    
+  } catch (error) {
+    console.error(`Object ${step.target} failed:`, error.message);
+    return false;
+  }
+}
+
+// Line 1026: Execute DN step - async fire and forget  
+// A 'cpux' step runs the same way: the child run is the DN and its final signal the emission
+async function executeDNStep(run, step, payload) {
+  const dnInstanceId = payload.dnInstanceId;
+  const kind = step.type === 'cpux' ? 'child CPUX' : 'DN';
+  
+  // Line 1031: Check DN instance availability
+  const dnStatus = run.memberStatus.get(dnInstanceId);
+  if (dnStatus !== 'ready') {
+    console.log(`→ DN instance ${dnInstanceId} not ready (${dnStatus})`);
+    return false;
+  }
+  
+  console.log(`→ Sending to ${kind} ${step.target}: ${step.intention} [${run.correlationId}]`);
+  
+  try {
+    // Line 1041: Send to DN - expect immediate sync response
+    const response = await callMember(run, step, payload);
+    
+    if (response.data.status === 'accepted') {
+      // Line 1045: Mark DN as busy - it will emit back when done - pinned to the replica that took it
+      recordRunEvent(run, { type: 'dn_status', dnInstanceId, status: 'busy', ...(response.replica ? { replica: response.replica } : {}) });
+      console.log(`  ${kind} ${step.target} accepted work${response.replica ? ` on ${response.replica.url} (${response.replica.registrationId})` : ''} - will emit when complete`);
+      return true;
+    } else {
+      console.log(`  ${kind} ${step.target} rejected work: ${response.data.status}`);
+      return false;
+    }
+    
+  } catch (error) {
+    console.error(`${kind} ${step.target} failed:`, error.message);
+    return false;
+  }
+}
+
+// Line 1061: Send a payload to a member's /execute endpoint and record the exchange
+// In replay mode the recorded response is returned instead of calling the member
+async function callMember(run, step, payload) {
+  if (run.replay) {
+    return run.replay.memberCall(step, payload);
+  }
+  
+  try {
+    const prefetched = run.prefetched.get(stepKeyOf(step));
+    const response = step.type === 'cpux'
+      ? { data: startChildRun(run, step, payload) }
+      : prefetched
+        ? await awaitPrefetched(prefetched)
+        : await sendToMember(run, step, payload);
+    recordRunEvent(run, {
+      type: 'member_called',
+      stepId: step.stepId,
+      target: step.target,
+      payload,
+      response: response.data,
+      ...(response.replica ? { replica: response.replica } : {})
+    });
+    return response;
+  } catch (error) {
+    recordRunEvent(run, {
+      type: 'member_called',
+      stepId: step.stepId,
+      target: step.target,
+      payload,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+// The step deadline also bounds the synchronous /execute call; members verify the CPUX signature.
+// The target is resolved through the member registry - an unknown target fails the call.
+// DN steps go to the replica the balance policy picks; the response carries it as `replica`.
+async function sendToMember(run, step, payload) {
+  const replica = step.type === 'dn' ? await selectReplica(run, step) : null;
+  const memberUrl = replica ? replica.url : await resolveTarget(step.target, MEMBER_PROTOCOL);
+  const headers = signedHeaders(loadIdentity('CPUX'), {
+    intention: payload.intention,
+    target: payload.target,
+    context: payload.contextId,
+    signal: payload.signal,
+    dnInstanceId: payload.dnInstanceId,
+    correlationId: payload.correlationId
+  });
+  const response = await transport.post(`${memberUrl}/execute`, payload, { timeout: step.deadlineMs || 0, headers });
+  if (replica) {
+    response.replica = { memberId: step.target, registrationId: replica.registrationId, url: replica.url };
+  }
+  return response;
+}
+
+// Line 1116: Replica selection across every live container hosting the DN type
+const roundRobinNext = new Map(); // DN type -> index of the next replica
+const recentDispatches = new Map(); // registrationId -> dispatch times (ms) not yet in the replica's reported load
+
+async function selectReplica(run, step) {
+  const instances = await listInstances(step.target, MEMBER_PROTOCOL);
+  if (instances.length === 0) {
+    throw unknownTargetError(step.target, MEMBER_PROTOCOL);
+  }
+  
+  if (run.dispatch.balance === 'round-robin') {
+    const ordered = instances.slice().sort((a, b) => a.registrationId.localeCompare(b.registrationId));
+    const next = roundRobinNext.get(step.target) || 0;
+    roundRobinNext.set(step.target, next + 1);
+    return ordered[next % ordered.length];
+  }
+  
+  // least-loaded: the count the replica last reported plus what was sent to it since that report
+  const loadOf = instance => {
+    const reportedAt = Date.parse(instance.lastHeartbeat);
+    const since = (recentDispatches.get(instance.registrationId) || []).filter(at => at > reportedAt);
+    recentDispatches.set(instance.registrationId, since);
+    return instance.runningInstances + since.length;
+  };
+  const chosen = instances.reduce((best, instance) => loadOf(instance) < loadOf(best) ? instance : best);
+  recentDispatches.set(chosen.registrationId, (recentDispatches.get(chosen.registrationId) || []).concat(Date.now()));
+  return chosen;
+}
+
+async function awaitPrefetched(prefetched) {
+  const { response, error } = await prefetched.reply;
+  if (error) {
+    throw error;
+  }
+  return response;
+}
+
+// Line 1153: Start a child run for a 'cpux' step - the child CPUX plays the DN
+function startChildRun(run, step, payload) {
+  const childDef = getDefinition(step.target, step.version);
+  if (!childDef) {
+    throw new Error(`Child CPUX ${step.target}${step.version ? ` v${step.version}` : ''} not found in the catalog`);
+  }
+  
+  const stepKey = stepKeyOf(step);
+  const child = createRun(childDef, {
+    parent: { contextId: run.contextId, stepId: step.stepId, intention: step.intention, stepKey, instanceId: payload.dnInstanceId },
+    seedSignal: payload.signal
+  }, null, { correlationId: run.correlationId }); // The child stays on its parent's trace
+  
+  console.log(`  ↳ Child run ${child.contextId} (${childDef.cpuxId} v${childDef.version}) for step ${step.stepId}`);
+  
+  // Starts after the parent has recorded the step as busy
+  setImmediate(() => {
+    executeCPUX(child).catch(error => console.error(`Child run ${child.contextId} failed:`, error.message));
+  });
+  
+  return { status: 'accepted', childContextId: child.contextId, cpuxId: childDef.cpuxId, version: childDef.version };
+}
+
+// Line 1176: The parent stops waiting for a child - it is cancelled and its outcome ignored
+function detachChild(run, stepKey, reason) {
+  const child = runs.get(run.children.get(stepKey));
+  run.children.delete(stepKey);
+  
+  if (child) {
+    cancelRun(child, reason);
+  }
+}
+
+// Line 1186: A child run ended - report back to the parent step the way its DN would
+function notifyParent(child) {
+  const link = child.starter && child.starter.parent;
+  const parent = link && runs.get(link.contextId);
+  
+  // Retried or detached children no longer speak for the step
+  if (!parent || child.replay || parent.children.get(link.stepKey) !== child.contextId) {
+    return;
+  }
+  
+  const outcome = child.state === 'completed' && child.result
+    ? handleEmission(parent, {
+      cpuxId: parent.contextId,
+      intention: link.intention,
+      signal: child.result.signal,
+      dnInstanceId: link.instanceId,
+      childContextId: child.contextId,
+      correlationId: child.correlationId,
+      source: child.definition.cpuxId
+    })
+    : handleChildFailure(parent, {
+      stepKey: link.stepKey,
+      childContextId: child.contextId,
+      state: child.state,
+      reason: child.termination.reason
+    });
+  
+  outcome.catch(error => console.error(`Parent ${parent.contextId} failed to absorb child ${child.contextId}:`, error.message));
+}
+
+// Line 1216: A child ended without a result - retry the step or absorb its timeout pulse
+async function handleChildFailure(run, failure) {
+  recordRunEvent(run, { type: 'child_failed', ...failure });
+  
+  const step = run.definition.sequence.find(candidate => stepKeyOf(candidate) === failure.stepKey);
+  const dnInstanceId = step && dnInstanceIdOf(run, step);
+  if (!step || run.termination || run.memberStatus.get(dnInstanceId) !== 'busy') {
+    return 0;
+  }
+  
+  console.log(`↳ Child run ${failure.childContextId} ended ${failure.state} (${failure.reason}) - step ${step.stepId} has no result`);
+  clearTimer(run, 'deadline', failure.stepKey);
+  recordRunEvent(run, { type: 'dn_status', dnInstanceId, status: 'ready' });
+  retryOrGiveUp(run, step, run.stepAttempts.get(failure.stepKey) || 1, `child_${failure.state}`);
+  
+  const activations = await executeSequencePass(run);
+  checkTermination(run);
+  return activations;
+}
+
+// Line 1237: Execute final step - console output
+// The result is kept on the run and handed to the starter when the run terminates
+function executeFinalStep(run, step, signal) {
+  recordRunEvent(run, { type: 'result_produced', stepId: step.stepId, intention: step.intention, signal });
+  
+  console.log(`\n🎉 === FINAL RESULT ===`);
+  console.log(`Intention: ${step.intention}`);
+  console.log(`Signal:`, signal);
+  console.log(`✅ CPUX License Generation Complete!`);
+  
+  return true;
+}
+
+// Line 1249: Absorb a DN or Object emission into its run and trigger a new pass
+async function handleEmission(run, emission) {
+  const { intention, signal, dnInstanceId, objectInstanceId, source } = emission;
+  const instanceId = dnInstanceId || objectInstanceId || 'unknown';
+  
+  // Illegal TVs are refused before anything is journaled, so a replay never meets them
+  const problems = signalProblems(signal);
+  if (problems.length > 0) {
+    throw new Error(`Emission ${intention} from ${instanceId} rejected: ${problems.join('; ')}`);
+  }
+  
+  // The raw emission is recorded so the run can be replayed without live members
+  recordRunEvent(run, { type: 'emission_received', body: emission });
+  
+  // Members echo the run's correlation ID; a different one means a crossed wire somewhere upstream
+  if (emission.correlationId && emission.correlationId !== run.correlationId) {
+    console.warn(`Emission ${intention} from ${instanceId} carries correlation ${emission.correlationId}, run ${run.contextId} is ${run.correlationId}`);
+  }
+  
+  // Absorb signal into field (journaled before it is applied) with its provenance:
+  // member instance IDs are `${contextId}:${stepId}:${target}`, which names the step that produced it
+  const producer = run.definition.sequence.find(step => dnInstanceIdOf(run, step) === instanceId);
+  absorbIntoRun(run, signal, {
+    source,
+    intention,
+    instanceId,
+    stepId: producer ? producer.stepId : null,
+    dnInstanceId: dnInstanceId || null,
+    objectInstanceId: objectInstanceId || null
+  });
+  console.log(`Field updated (${run.contextId}):`, Object.keys(run.cpuxField));
+  
+  // Mark DN as ready if it's a DN emission, and stop its deadline clock
+  if (dnInstanceId) {
+    const step = run.definition.sequence.find(candidate => dnInstanceIdOf(run, candidate) === dnInstanceId);
+    if (step) {
+      clearTimer(run, 'deadline', stepKeyOf(step));
+      if (run.timedOutSteps.has(stepKeyOf(step))) {
+        console.log(`DN ${dnInstanceId} emitted after its step timed out - absorbing late result`);
+      }
+    }
+    
+    recordRunEvent(run, { type: 'dn_status', dnInstanceId, status: 'ready' });
+    console.log(`DN ${dnInstanceId} marked as ready`);
+  }
+  
+  // Note: Object emissions don't need status tracking since they're immediate
+  if (objectInstanceId) {
+    console.log(`Object emission from ${objectInstanceId} processed`);
+  }
+  
+  // Late emissions are kept in the field of a terminated run but trigger nothing
+  if (run.termination) {
+    console.log(`Run ${run.contextId} already ${run.state} - emission absorbed without a new pass`);
+    return 0;
+  }
+  
+  // Execute another sequence pass - new pulses may enable new steps
+  console.log(`\n--- Triggered by ${source === 'O1' ? 'Object' : 'DN'} emission ---`);
+  const activations = await executeSequencePass(run);
+  
+  if (activations === 0) {
+    console.log("No new activations - CPUX may be complete");
+  }
+  
+  // The final step may fire in this very pass, so always check
+  checkTermination(run);
+  
+  return activations;
+}
+
+// Line 1321: What each unexecuted step is still waiting for
+// Steps of alternatives not taken are not pending; a step of an undecided branch also waits for its guard
+function pendingSteps(run) {
+  return run.definition.sequence
+    .filter(step => !run.executionLog.has(stepKeyOf(step)) && !run.skippedSteps.has(stepKeyOf(step)))
+    .map(step => ({ step, membership: branchOf(run.definition, step) }))
+    .map(({ step, membership }) => ({
+      stepId: step.stepId,
+      intention: step.intention,
+      target: step.target,
+      ...(membership ? { branch: { branchId: membership.branch.branchId, alternative: alternativeLabel(membership.alternative, membership.index) } } : {}),
+      missingPulses: requiredPulses(run, step, membership)
+        .filter(pulse => !fieldMatch(run.cpuxField, [pulse]))
+        .map(pulse => ({
+          name: pulse.name,
+          TV: pulse.TV,
+          ...(pulse.not ? { not: true } : {}),
+          ...(pulse.where !== undefined ? { where: pulse.where } : {}),
+          fieldTV: pulseTV(run.cpuxField[pulse.name]) // 'U' when the pulse is absent
+        }))
+    }));
+}
+
+// Line 1344: Status of every step for the diagram overlay: executed, busy, waiting (with the pulses it lacks),
+// skipped or timed_out - keyed by stepId
+function stepStatuses(run) {
+  const waiting = new Map(pendingSteps(run).map(pending => [pending.stepId, pending.missingPulses]));
+  
+  return Object.fromEntries(run.definition.sequence.map(step => {
+    const stepKey = stepKeyOf(step);
+    if (run.skippedSteps.has(stepKey)) {
+      return [step.stepId, { status: 'skipped' }];
+    }
+    if (run.timedOutSteps.has(stepKey)) {
+      return [step.stepId, { status: 'timed_out' }];
+    }
+    if (waiting.has(step.stepId)) {
+      return [step.stepId, { status: 'waiting', missingPulses: waiting.get(step.stepId) }];
+    }
+    const busy = isAsyncStep(step) && run.memberStatus.get(dnInstanceIdOf(run, step)) === 'busy';
+    return [step.stepId, { status: busy ? 'busy' : 'executed' }];
+  }));
+}
+
+function requiredPulses(run, step, membership) {
+  if (!membership || run.branches.has(membership.branch.branchId)) {
+    return step.designTimeSignal;
+  }
+  const guard = guardOf(run.definition, membership.alternative);
+  return [...guard, ...step.designTimeSignal.filter(pulse => !guard.some(other => JSON.stringify(other) === JSON.stringify(pulse)))];
+}
+
+function isFinalStep(step) {
+  return step.type === 'final' || FINAL_TARGETS.includes(step.target);
+}
+
+// Line 1377: Decide whether the run has reached a terminal state
+// Returns 'running' while anything can still happen, otherwise the recorded terminal state
+function checkTermination(run) {
+  if (run.termination) {
+    return run.state;
+  }
+  
+  // Another pass is mid-dispatch; it will check again when it finishes
+  if (run.passesInFlight > 0) {
+    return 'running';
+  }
+  
+  const { sequence } = run.definition;
+  const busyDNs = Array.from(run.memberStatus.entries())
+    .filter(([, status]) => status === 'busy')
+    .map(([dnInstanceId]) => dnInstanceId);
+  
+  console.log(`\n=== Termination Check (${run.contextId}) ===`);
+  console.log(`Executed: ${run.executionLog.size}/${sequence.length - run.skippedSteps.size} steps (${run.skippedSteps.size} skipped by branches)`);
+  
+  // Line 1396: In flight - a busy DN will emit or hit its deadline, a retry is scheduled
+  if (busyDNs.length > 0 || run.retryPending.size > 0) {
+    console.log(`Still running: ${busyDNs.length} busy DN instance(s), ${run.retryPending.size} retry(ies) scheduled`);
+    return 'running';
+  }
+  
+  const pending = pendingSteps(run);
+  const finalSteps = sequence.filter(isFinalStep);
+  const reachedEnd = finalSteps.length > 0
+    ? finalSteps.some(step => run.executionLog.has(stepKeyOf(step)))
+    : pending.length === 0;
+  
+  let state;
+  let reason;
+  
+  if (reachedEnd) {
+    state = 'completed';
+    reason = pending.length === 0 ? 'all_steps_executed' : 'final_step_executed';
+  } else if (pending.some(step => step.missingPulses.length === 0)) {
+    // Gate matches but nothing will dispatch it again
+    state = 'failed';
+    reason = 'dispatch_failed';
+  } else if (run.timedOutSteps.size > 0) {
+    state = 'failed';
+    reason = 'step_timed_out';
+  } else {
+    // Quiescent: nothing busy and no pending gate can match the field
+    state = 'stuck';
+    reason = 'no_eligible_steps';
+  }
+  
+  terminateRun(run, state, reason, pending);
+  return state;
+}
+
+// Line 1431: Record the terminal state once and stop all clocks
+function terminateRun(run, state, reason, pending = pendingSteps(run)) {
+  if (run.termination) {
+    return false;
+  }
+  
+  run.timers.forEach(handle => clearTimeout(handle));
+  run.timers.clear();
+  
+  recordRunEvent(run, { type: 'run_terminated', state, reason, pendingSteps: pending });
+  
+  const icons = { completed: '🎉', stuck: '🧊', failed: '❌', cancelled: '🛑' };
+  console.log(`\n${icons[state]} === CPUX ${state.toUpperCase()} (${run.contextId}, correlation ${run.correlationId}) - ${reason} ===`);
+  pending.forEach(step => {
+    const missing = step.missingPulses.map(pulse => `${describeGatePulse(pulse)} (field has ${pulse.fieldTV})`);
+    const branch = step.branch ? ` [${step.branch.branchId}/${step.branch.alternative}]` : '';
+    console.log(`  Pending step ${step.stepId} ${step.intention}${branch}: ${missing.length ? `waiting for ${missing.join(', ')}` : 'gate matches'}`);
+  });
+  console.log(`Final field:`, Object.keys(run.cpuxField));
+  
+  run.resultWaiters.splice(0).forEach(resolve => resolve(resultOf(run)));
+  settleRun(run);
+  notifyObjectsTerminated(run);
+  
+  // Children die with their parent; a finished child reports to its parent
+  Array.from(run.children.keys()).forEach(stepKey => detachChild(run, stepKey, `parent_${state}`));
+  notifyParent(run);
+  
+  return true;
+}
+
+// Line 1462: What the starter gets back - by callback, wait-for-result or GET .../result
+function resultOf(run) {
+  return {
+    contextId: run.contextId,
+    cpuxId: run.definition.cpuxId,
+    version: run.definition.version,
+    state: run.state,
+    reason: run.termination ? run.termination.reason : null,
+    terminatedAt: run.termination ? run.termination.at : null,
+    result: run.result,
+    pendingSteps: run.termination ? run.termination.pendingSteps : []
+  };
+}
+
+// Line 1476: Resolves with the result once the run terminates, or with null after timeoutMs
+function waitForResult(run, timeoutMs) {
+  if (run.termination) {
+    return Promise.resolve(resultOf(run));
+  }
+  
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      run.resultWaiters = run.resultWaiters.filter(waiter => waiter !== settle);
+      resolve(null);
+    }, timeoutMs);
+    const settle = result => {
+      clearTimeout(timer);
+      resolve(result);
+    };
+    run.resultWaiters.push(settle);
+  });
+}
+
+// Line 1495: Push the result to the starter's callback; every attempt is journaled
+async function deliverResult(run) {
+  if (run.replay || !run.delivery || run.delivery.status !== 'pending') {
+    return run.delivery;
+  }
+  
+  const { callbackUrl } = run.delivery;
+  console.log(`📬 Delivering result of ${run.contextId} to ${callbackUrl}`);
+  
+  await deliverWithRetry(callbackUrl, resultOf(run), {
+    ...deliveryPolicyOf(run.starter.delivery),
+    firstAttempt: run.delivery.attempts + 1
+  }, attempt => {
+    recordRunEvent(run, { type: 'result_delivery', callbackUrl, ...attempt });
+    const detail = attempt.error ? `: ${attempt.error}` : '';
+    console.log(`📬 Result delivery attempt ${attempt.attempt} for ${run.contextId} ${attempt.status}${detail}`);
+  });
+  
+  return run.delivery;
+}
+
+// Deliver the result (if the starter asked for a callback), then archive the journal of the finished run
+function settleRun(run) {
+  deliverResult(run)
+    .then(() => {
+      if (run.replay || (run.delivery && run.delivery.status === 'pending')) {
+        return;
+      }
+      if (archiveJournal(run.contextId)) {
+        console.log(`🗄️  Journal of ${run.contextId} archived`);
+      }
+      retireRun(run);
+    })
+    .catch(error => console.error(`Result delivery for ${run.contextId} failed:`, error.message));
+}
+
+// Move a settled run from the registry to the settled archive; the oldest settled runs are dropped
+// from memory (their journals stay in the journal archive)
+function retireRun(run) {
+  if (runs.get(run.contextId) !== run) {
+    return;
+  }
+  runs.delete(run.contextId);
+  settledRuns.set(run.contextId, run);
+  while (settledRuns.size > SETTLED_RUNS_KEPT) {
+    settledRuns.delete(settledRuns.keys().next().value);
+  }
+}
+
+// A run in the registry or among the recently settled ones
+function findRunState(contextId) {
+  return runs.get(contextId) || settledRuns.get(contextId) || null;
+}
+
+// Objects keep per-run state (field, fired triggers) - tell each one the run is over so it can free it.
+// Best effort: a missed notice only leaves that run's state behind until the Object's /reset
+function notifyObjectsTerminated(run) {
+  if (run.replay) {
+    return;
+  }
+  
+  const objectTargets = new Set(run.definition.sequence.filter(step => step.type === 'object').map(step => step.target));
+  objectTargets.forEach(target => {
+    const notice = { contextId: run.contextId, correlationId: run.correlationId, state: run.state, reason: run.termination.reason };
+    resolveTarget(target, MEMBER_PROTOCOL)
+      .then(memberUrl => transport.post(`${memberUrl}/runs/${encodeURIComponent(run.contextId)}/terminated`, notice, {
+        timeout: 5000,
+        headers: signedHeaders(loadIdentity('CPUX'), {
+          intention: 'run_terminated',
+          target,
+          context: run.contextId,
+          signal: null,
+          correlationId: run.correlationId
+        })
+      }))
+      .catch(error => console.error(`Termination notice for ${run.contextId} to ${target} failed:`, error.message));
+  });
+}
+
+// Line 1574: Operator cancellation - busy DNs may still emit, but nothing fires afterwards
+function cancelRun(run, reason = 'cancelled_by_operator') {
+  return terminateRun(run, 'cancelled', reason);
+}
+
+module.exports = {
+  DEFAULT_DISPATCH,
+  DEFAULT_MAX_ITERATIONS,
+  runs,
+  settledRuns,
+  findRunState,
+  runEvents,
+  newRunState,
+  createRun,
+  recoverRuns,
+  applyRunEvent,
+  recordRunEvent,
+  executeCPUX,
+  executeSequencePass,
+  handleEmission,
+  handleTimer,
+  handleChildFailure,
+  startReplicaWatch,
+  stepPolicy,
+  pendingSteps,
+  stepStatuses,
+  checkTermination,
+  cancelRun,
+  resultOf,
+  waitForResult,
+  deliverResult,
+  fieldAbsorb,
+  fieldMatch
+};
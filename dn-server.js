@@ -2,6 +2,7 @@
 // Generic DN server that executes based on DN ID and reflected intention from CPUX
 
 const express = require('express');
+const { registerMembers } = require('./utils/registry');
 const app = express();
 app.use(express.json());
 
@@ -40,6 +41,12 @@ app.post('/result', (req, res) => {
   res.json(result);
 });
 
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+});
+
 app.listen(port, () => {
   console.log(`🟢 ${process.env.DN_ID || 'DN'} server running on port ${port}`);
+  // Without DN_ID this server answers for every DN it can simulate
+  registerMembers(`http://localhost:${port}`, process.env.DN_ID ? [process.env.DN_ID] : ['DN1', 'DN2', 'DN3', 'DN4', 'DN5']);
 });
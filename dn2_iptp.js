@@ -5,6 +5,8 @@
  */
 
 const express = require('express');
+const { claimIdentity, authenticate } = require('./utils/identity');
+const { registerMembers, resolveTarget } = require('./utils/registry');
 const app = express();
 
 app.use(express.json());
@@ -12,6 +14,7 @@ app.use(express.json());
 // DN2 Configuration
 const DN2_CONFIG = {
     nodeId: "DN2",
+    keyId: "DN2_LOGIN", // Own key, distinct from the CPUX stack's DN2 container
     name: "Login Authentication Server",
     supportedIntentions: ["Log me in"],
     version: "1.0.0"
@@ -57,6 +60,11 @@ app.post('/iptp', (req, res) => {
             });
         }
 
+        // Reject forged or replayed messages before touching credentials
+        if (!authenticate(req, res, { intention, target, signal })) {
+            return;
+        }
+
         // Check if DN2 supports this intention
         if (!DN2_CONFIG.supportedIntentions.includes(intention)) {
             return res.status(400).json({
@@ -241,6 +249,7 @@ function authenticateUser(username, password) {
 function createSuccessSignal(username, user) {
     return [
         { name: "user authenticated", TV: "Y", response: username },
+        { name: "authentication failed", TV: "N", response: null }, // Explicit N, not just an absent pulse (U)
         { name: "authentication timestamp", TV: "Y", response: new Date().toISOString() },
         { name: "user profile", TV: "Y", response: user },
         { name: "session created", TV: "Y", response: generateSessionToken() }
@@ -253,6 +262,7 @@ function createSuccessSignal(username, user) {
 function createFailureSignal(username, reason) {
     return [
         { name: "authentication failed", TV: "Y", response: reason },
+        { name: "user authenticated", TV: "N", response: reason },
         { name: "failed username", TV: "Y", response: username },
         { name: "failure timestamp", TV: "Y", response: new Date().toISOString() },
         { name: "retry allowed", TV: "Y", response: "true" }
@@ -276,7 +286,7 @@ async function emitIPTPIntention(intention, source, target, signal) {
         console.log(`Source: ${source} -> Target: ${target}`);
         console.log(`Signal pulses: ${signal.length}`);
 
-        const targetUrl = getTargetUrl(target);
+        const targetUrl = `${await resolveTarget(target, 'iptp')}/iptp`; // Throws for a target nobody serves
         
         // Note: In a real system, this would send to the target
         // For demonstration, we'll just log the IPTP emission
@@ -294,20 +304,6 @@ async function emitIPTPIntention(intention, source, target, signal) {
     }
 }
 
-/**
- * Get target URL for IPTP emission
- */
-function getTargetUrl(target) {
-    const targetUrls = {
-        "O1": "http://localhost:3000/iptp",
-        "O2": "http://localhost:3000/iptp",
-        "DN1": "http://localhost:3002/iptp",
-        "DN3": "http://localhost:3003/iptp"
-    };
-    
-    return targetUrls[target] || "http://localhost:3000/iptp";
-}
-
 /**
  * Get DN2 node information
  */
@@ -372,6 +368,8 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
     console.log(`\n🟢 DN2 IPTP Login Server started on port ${PORT}`);
     console.log(`Node ID: ${DN2_CONFIG.nodeId}`);
+    console.log(`Key ID: ${claimIdentity(DN2_CONFIG.nodeId, DN2_CONFIG.keyId).keyId}`);
+    registerMembers(`http://localhost:${PORT}`, [DN2_CONFIG.nodeId], console.log, null, 'iptp'); // The IPTP DN2, not the CPUX DN2 container
     console.log(`Name: ${DN2_CONFIG.name}`);
     console.log(`Protocol: IPTP/1.0`);
     console.log(`Supported Intentions: ${DN2_CONFIG.supportedIntentions.join(', ')}`);
@@ -381,7 +379,7 @@ app.listen(PORT, () => {
     console.log(`GET  /dn2/status - Status and statistics`);
     console.log(`GET  /dn2/attempts - Login attempt history`);
     console.log(`GET  /health - Health check`);
-    console.log('\nExample IPTP request:');
+    console.log('\nExample IPTP request (unsigned, so only accepted with IPTP_AUTH=off):');
     console.log('curl -X POST http://localhost:3001/iptp \\');
     console.log('  -H "X-IPTP-Intention: Log me in" \\');
     console.log('  -H "X-IPTP-Source: O1" \\');
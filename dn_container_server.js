@@ -2,6 +2,7 @@
 // Unified DN server handling all DN logic using DN container registry
 
 const express = require('express');
+const { registerMembers } = require('./utils/registry');
 const app = express();
 app.use(express.json());
 
@@ -66,6 +67,11 @@ app.post('/result', (req, res) => {
   res.json(result);
 });
 
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+});
+
 app.listen(PORT, () => {
   console.log(`🟢 DN Container Server running on port ${PORT}`);
+  registerMembers(`http://localhost:${PORT}`, Object.keys(DN_CONTAINERS));
 });
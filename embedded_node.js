@@ -0,0 +1,33 @@
+// embedded_node.js
+// The member registry, O1 object server, DN container and CPUX composed into one process
+// Every call between them goes through the in-memory transport - no ports are opened for member traffic
+// Usage: node embedded_node.js   (EMBEDDED_HTTP_PORT=3000 also serves the CPUX API over HTTP; 0 keeps it in memory only)
+
+const transport = require('./utils/transport');
+
+// Requiring the servers starts them, so the transport must be chosen first.
+// Origins nothing in this process serves (e.g. result callbacks) are still reached over HTTP.
+function startEmbedded({ httpPort = 0 } = {}) {
+  const memory = transport.use(transport.createMemoryTransport({ fallback: transport.createHttpTransport() }));
+
+  require('./registry_server');
+  require('./enhanced-object-server');
+  require('./enhanced_dn_server');
+  const cpux = require('./clean_cpux_server');
+
+  if (httpPort) {
+    cpux.app.listen(httpPort, () => {
+      console.log(`🌐 Embedded CPUX API also served over HTTP on port ${httpPort}`);
+    });
+  }
+
+  return { transport: memory, cpux };
+}
+
+if (require.main === module) {
+  const httpPort = process.env.EMBEDDED_HTTP_PORT === undefined ? 3000 : Number(process.env.EMBEDDED_HTTP_PORT);
+  startEmbedded({ httpPort });
+  console.log(`🧩 Embedded node: registry, O1, DN container and CPUX in one process (${transport.active().name} transport)`);
+}
+
+module.exports = { startEmbedded };
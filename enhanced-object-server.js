@@ -2,18 +2,33 @@
 // Object server with proper instance ID and async reflection pattern
 
 const express = require('express');
-const axios = require('axios');
+const transport = require('./utils/transport');
+const { fieldMatch: matchesField, signalProblems } = require('./utils/field');
+const { claimIdentity, loadIdentity, signedHeaders, authenticate } = require('./utils/identity');
+const { registerMembers } = require('./utils/registry');
 const app = express();
 app.use(express.json());
 
 const PORT = 4000;
 const CPUX_SERVER_URL = "http://localhost:3000";
 
-// Object state - accumulates pulses over time
-let objectField = {}; // O1's internal semantic field
-let activeTriggers = new Set(); // Track which triggers have been activated
+// Object state - accumulates pulses over time, one O1 instance per CPUX context until the CPUX reports the run terminated
+const objectInstances = new Map(); // cpuxId -> { objectField, activeTriggers }
+
+function getObjectInstance(cpuxId) {
+  if (!objectInstances.has(cpuxId)) {
+    objectInstances.set(cpuxId, {
+      objectField: {}, // O1's internal semantic field for this CPUX run
+      activeTriggers: new Set(), // Track which triggers have been activated
+      correlationId: null // Caller's correlation ID, echoed in every emission for this run
+    });
+  }
+  return objectInstances.get(cpuxId);
+}
 
 // Trigger mappings - define when to emit intentions
+// triggerCondition entries take the same options as CPUX gates: TV Y/N/U, `not`, and a declarative
+// `where` predicate on the pulse response, e.g. { path: 'currentPoints', op: '>=', value: 6 }
 const triggerMappings = [
   {
     incomingIntention: "add_personal_detail",
@@ -49,6 +64,11 @@ const triggerMappings = [
 function fieldAbsorb(signal, field) {
   console.log(`[O1] Absorbing ${signal.length} pulse(s) into field`);
   
+  const problems = signalProblems(signal);
+  if (problems.length > 0) {
+    throw new Error(`[O1] Cannot absorb signal: ${problems.join('; ')}`);
+  }
+  
   for (const pulse of signal) {
     field[pulse.name] = {
       name: pulse.name,
@@ -62,17 +82,15 @@ function fieldAbsorb(signal, field) {
   return field;
 }
 
+// Y/N/U semantics: a missing pulse is U, a U condition is a wildcard, `not` inverts a pulse
 function fieldMatch(field, condition) {
-  return condition.every(requiredPulse => {
-    const fieldPulse = field[requiredPulse.name];
-    return fieldPulse && fieldPulse.TV === requiredPulse.TV;
-  });
+  return matchesField(field, condition);
 }
 
 // Async function to emit intention back to CPUX
-async function emitIntentionToCPUX(intention, signal, cpuxId, sourceIntention, objectInstanceId) {
+async function emitIntentionToCPUX(intention, signal, cpuxId, sourceIntention, objectInstanceId, correlationId = null) {
   try {
-    console.log(`[O1] Emitting intention: ${intention}`);
+    console.log(`[O1] Emitting intention: ${intention} [correlation ${correlationId || 'none'}]`);
     console.log(`[O1] Signal:`, signal.map(p => `${p.name}:${p.TV}`));
     
     const payload = {
@@ -81,10 +99,13 @@ async function emitIntentionToCPUX(intention, signal, cpuxId, sourceIntention, o
       signal: signal,
       source: 'O1',
       sourceIntention: sourceIntention, // Track what triggered this emission
-      objectInstanceId: objectInstanceId // FIXED: Object instance identifier
+      objectInstanceId: objectInstanceId, // FIXED: Object instance identifier
+      contextId: cpuxId, // Echo the caller's context and correlation so the emission can be traced
+      correlationId: correlationId
     };
     
-    const response = await axios.post(`${CPUX_SERVER_URL}/cpux/intention`, payload);
+    const headers = signedHeaders(loadIdentity('O1'), { intention, target: 'CPUX', context: cpuxId, signal, objectInstanceId, correlationId });
+    const response = await transport.post(`${CPUX_SERVER_URL}/cpux/intention`, payload, { headers });
     
     console.log(`[O1] Successfully emitted to CPUX: ${intention}`);
     console.log(`[O1] CPUX response:`, response.data);
@@ -99,19 +120,40 @@ async function emitIntentionToCPUX(intention, signal, cpuxId, sourceIntention, o
 
 // Main execution endpoint - handles signal accumulation and trigger evaluation
 app.post('/execute', async (req, res) => {
-  const { cpuxId, stepId, intention, signal, target } = req.body;
+  const { stepId, intention, signal, target } = req.body;
+  const cpuxId = req.body.contextId || req.body.cpuxId;
+  const correlationId = req.body.correlationId || req.get('X-Correlation-ID') || null;
   
   console.log(`\n=== O1 Execute Request ===`);
-  console.log(`[O1] Intention: ${intention}, CPUX: ${cpuxId}, Step: ${stepId}`);
+  console.log(`[O1] Intention: ${intention}, CPUX: ${cpuxId}, Step: ${stepId}, Correlation: ${correlationId || 'none'}`);
   console.log(`[O1] Incoming signal:`, signal);
   
+  // Only the CPUX may write into this object's field
+  const signed = { intention, target, context: cpuxId, signal, dnInstanceId: req.body.dnInstanceId, correlationId: req.body.correlationId, source: 'CPUX' };
+  if (!authenticate(req, res, signed, message => console.log(`[O1] ${message}`))) {
+    return;
+  }
+  
+  const problems = signalProblems(signal);
+  if (problems.length > 0) {
+    console.log(`[O1] Rejecting signal:`, problems);
+    return res.status(400).json({ error: 'Invalid signal', problems });
+  }
+  
   // FIXED: Create object instance ID (similar to DN pattern but for objects)
   const objectInstanceId = `${cpuxId}:${stepId}:O1`;
   
-  // Step 1: Absorb incoming signal into field (always)
-  objectField = fieldAbsorb(signal, objectField);
+  // Step 1: 'absorb' (default) keeps the incoming signal in this run's field;
+  // 'copy' evaluates the triggers on a copy of the field with the signal, leaving the field as it was
+  const instance = getObjectInstance(cpuxId);
+  const { activeTriggers } = instance;
+  const consumption = req.body.targetConsumption === 'copy' ? 'copy' : 'absorb';
+  if (correlationId) {
+    instance.correlationId = correlationId;
+  }
+  const objectField = fieldAbsorb(signal, consumption === 'copy' ? { ...instance.objectField } : instance.objectField);
   
-  console.log(`[O1] Current field state:`, Object.keys(objectField));
+  console.log(`[O1] Current field state (${consumption}):`, Object.keys(objectField));
   
   // Step 2: Check all trigger mappings for activations
   const triggeredMappings = [];
@@ -155,9 +197,12 @@ app.post('/execute', async (req, res) => {
   res.json({
     status: responseStatus,
     message: `Absorbed ${signal.length} pulse(s), triggered ${triggeredMappings.length} reflection(s)`,
-    fieldSize: Object.keys(objectField).length,
+    fieldSize: Object.keys(instance.objectField).length,
+    targetConsumption: consumption,
     triggeredCount: triggeredMappings.length,
-    objectInstanceId: objectInstanceId // FIXED: Return object instance ID
+    objectInstanceId: objectInstanceId, // FIXED: Return object instance ID
+    contextId: cpuxId,
+    correlationId: instance.correlationId
   });
   
   // Step 4: Emit intentions asynchronously (don't await)
@@ -173,16 +218,39 @@ app.post('/execute', async (req, res) => {
           emissionSignal, 
           cpuxId,
           intention,
-          objectInstanceId // FIXED: Pass object instance ID
+          objectInstanceId, // FIXED: Pass object instance ID
+          instance.correlationId
         );
       }, 100); // Small delay to ensure sync response is sent first
     }
   }
 });
 
-// Field state endpoint for debugging
+// Field state endpoint for debugging (?cpuxId= selects one run)
 app.get('/field', (req, res) => {
+  const { cpuxId } = req.query;
+  
+  if (!cpuxId) {
+    return res.json({
+      instanceCount: objectInstances.size,
+      instances: Array.from(objectInstances.entries()).map(([id, instance]) => ({
+        cpuxId: id,
+        correlationId: instance.correlationId,
+        pulseCount: Object.keys(instance.objectField).length,
+        activeTriggers: Array.from(instance.activeTriggers)
+      }))
+    });
+  }
+  
+  const instance = objectInstances.get(cpuxId);
+  if (!instance) {
+    return res.status(404).json({ error: 'No object state for CPUX context', cpuxId });
+  }
+  
+  const { objectField, activeTriggers } = instance;
   res.json({
+    cpuxId,
+    correlationId: instance.correlationId,
     fieldState: objectField,
     pulseCount: Object.keys(objectField).length,
     activeTriggers: Array.from(activeTriggers),
@@ -195,16 +263,34 @@ app.get('/field', (req, res) => {
   });
 });
 
-// Reset endpoint for testing
+// The CPUX reports a run's terminal state - nothing more will be executed for it, so its state is freed
+app.post('/runs/:cpuxId/terminated', (req, res) => {
+  const { cpuxId } = req.params;
+  const signed = { intention: 'run_terminated', target: 'O1', context: cpuxId, signal: null, correlationId: req.body.correlationId, source: 'CPUX' };
+  if (!authenticate(req, res, signed, message => console.log(`[O1] ${message}`))) {
+    return;
+  }
+  
+  const released = objectInstances.delete(cpuxId);
+  console.log(`[O1] Run ${cpuxId} ${req.body.state || 'terminated'} - ${released ? 'object state released' : 'no object state held'}`);
+  res.json({ status: released ? 'released' : 'not_held', cpuxId, instanceCount: objectInstances.size });
+});
+
+// Reset endpoint for testing (?cpuxId= resets one run, otherwise all)
 app.post('/reset', (req, res) => {
-  objectField = {};
-  activeTriggers.clear();
+  const { cpuxId } = req.query;
   
-  console.log(`[O1] Object state reset`);
+  if (cpuxId) {
+    objectInstances.delete(cpuxId);
+  } else {
+    objectInstances.clear();
+  }
+  
+  console.log(`[O1] Object state reset${cpuxId ? ` for ${cpuxId}` : ''}`);
   
   res.json({
     status: 'reset',
-    message: 'Object field and triggers cleared'
+    message: cpuxId ? `Object field and triggers cleared for ${cpuxId}` : 'Object field and triggers cleared'
   });
 });
 
@@ -212,7 +298,8 @@ app.post('/reset', (req, res) => {
 app.get('/triggers', (req, res) => {
   res.json({
     mappings: triggerMappings,
-    activeTriggers: Array.from(activeTriggers),
+    activeTriggers: Object.fromEntries(Array.from(objectInstances.entries())
+      .map(([cpuxId, instance]) => [cpuxId, Array.from(instance.activeTriggers)])),
     totalMappings: triggerMappings.length
   });
 });
@@ -224,16 +311,18 @@ app.get('/health', (req, res) => {
     server: 'Final Corrected O1 Object Server',
     port: PORT,
     cpuxTarget: CPUX_SERVER_URL,
-    fieldSize: Object.keys(objectField).length,
+    objectInstances: objectInstances.size,
     triggerMappings: triggerMappings.length,
     timestamp: new Date().toISOString()
   });
 });
 
 // Start corrected object server
-app.listen(PORT, () => {
+transport.listen(app, PORT, () => {
   console.log(`🟡 Final Corrected O1 Object Server running on port ${PORT}`);
   console.log(`CPUX emission target: ${CPUX_SERVER_URL}/cpux/intention`);
+  console.log(`Signing emissions as ${claimIdentity('O1').nodeId}`);
+  registerMembers(`http://localhost:${PORT}`, ['O1'], message => console.log(`[O1] ${message}`));
   console.log(`Trigger mappings loaded: ${triggerMappings.length}`);
   console.log(`Field accumulation and async reflection enabled`);
   console.log(`✅ Object instance ID tracking enabled`);
@@ -242,7 +331,7 @@ app.listen(PORT, () => {
 });
 
 module.exports = {
-  objectField,
+  objectInstances,
   triggerMappings,
   fieldAbsorb,
   fieldMatch,
@@ -4,8 +4,9 @@
 
 const axios = require('axios');
 const express = require('express');
-// Line 3: Import field operations - fieldMatch might not exist in utils yet
-// const { fieldAbsorb, fieldMatch } = require('./utils/field');
+const { reloadDefinitions, getDefinition } = require('./utils/definitions');
+// Line 3: Import field operations - Y/N/U truth values and gate semantics live in utils/field
+const { pulseMatches, pulseTV, describeGatePulse, signalProblems } = require('./utils/field');
 
 // Line 6: Express server to receive DN emissions
 const app = express();
@@ -17,124 +18,25 @@ let cpuxField = {}; // The semantic field of the CPUX instance
 let executionLog = new Set(); // Track completed intentions to avoid duplicates
 let memberStatus = new Map(); // Track DN instance execution states: 'ready', 'busy', 'stopped'
 let cpuxActive = true; // Controls the main CPUX loop
+let termination = null; // { state, at, reason, pendingSteps } once the loop has stopped
 
 // Line 15: Context identification for this CPUX instance
 const CPUX_CONTEXT_ID = `CPUX_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
 console.log(`Line 17: CPUX Context ID: ${CPUX_CONTEXT_ID}`);
 
 // Line 15: Service registry for routing intentions
-const targetRegistry = {
-  O1: "http://localhost:4000",
-  DN1: "http://localhost:5001", 
-  DN2: "http://localhost:5001",
-  DN3: "http://localhost:5001",
-  DN4: "http://localhost:5001",
-  DN5: "http://localhost:5001"
-};
+const { FINAL_TARGETS } = require('./utils/targets');
+const { resolveTarget } = require('./utils/registry');
+const { deliverWithRetry } = require('./utils/delivery');
+
+// Line 20: Where a STARTER final step delivers its signal (console only when unset)
+const STARTER_CALLBACK_URL = process.env.STARTER_CALLBACK_URL || null;
+let resultDelivery = null; // Outcome of the STARTER callback, exposed on /cpux/status
 
 // Line 25: CPUX Definition with proper sequence structure
-const CPUXDefinition = {
-  cpuxId: "make_license_cpux",
-  // Line 27: Initial intention that creates the field (Rule: CPUX starts with i1)
-  startIntention: {
-    name: "start_license_request",
-    signal: [{ name: "start_license_request", TV: "Y", response: "initiated" }],
-    target: "O1"
-  },
-  // Line 33: Sequential members following I-O-I-DN pattern (no DN-I-DN allowed)
-  sequence: [
-    {
-      stepId: 1,
-      type: "intention-to-object", // I -> O
-      intention: "add_personal_detail",
-      designTimeSignal: [{ name: "start_license_request", TV: "Y" }], // Required field state
-      source: "CPUX",
-      target: "O1",
-      consumeSignal: false, // Signal remains in CPUX field (copy behavior)
-      targetConsumption: 'copy' // Object gets copy, doesn't "suck away" from CPUX
-    },
-    {
-      stepId: 2, 
-      type: "object-reflection", // O -> I -> DN (Object reflects when triggered)
-      intention: "fetch_personal_detail",
-      designTimeSignal: [{ name: "start_license_request", TV: "Y" }],
-      source: "O1",
-      target: "DN1",
-      consumeSignal: false, // Keep signal available for DN1 processing
-      targetConsumption: 'copy' // DN1 gets copy of signal
-    },
-    {
-      stepId: 3,
-      type: "dn-emission", // DN -> I -> O (DN emits result)
-      intention: "reflect_personal_detail", 
-      designTimeSignal: [{ name: "personal_detail", TV: "Y" }],
-      source: "DN1",
-      target: "O1",
-      consumeSignal: false, // New signal stays in CPUX field
-      targetConsumption: 'copy' // Object gets copy of new signal
-    },
-    {
-      stepId: 4,
-      type: "intention-to-object",
-      intention: "fetch_driver_points",
-      designTimeSignal: [{ name: "personal_detail", TV: "Y" }],
-      source: "O1", 
-      target: "DN2",
-      consumeSignal: true, // Signal consumed by DN2 (default "suck in" behavior)
-      targetConsumption: 'absorb'
-    },
-    {
-      stepId: 5,
-      type: "dn-emission",
-      intention: "reflect_driver_points",
-      designTimeSignal: [{ name: "driver_points", TV: "Y" }],
-      source: "DN2",
-      target: "O1", 
-      consumeSignal: false, // Signal remains available in CPUX field
-      targetConsumption: 'copy'
-    },
-    {
-      stepId: 6,
-      type: "intention-to-object", 
-      intention: "compute_expiry",
-      designTimeSignal: [{ name: "driver_points", TV: "Y" }],
-      source: "O1",
-      target: "DN3",
-      consumeSignal: true, // Default consumption behavior
-      targetConsumption: 'absorb'
-    },
-    {
-      stepId: 7,
-      type: "dn-emission",
-      intention: "reflect_expiry", 
-      designTimeSignal: [{ name: "expiry_date", TV: "Y" }],
-      source: "DN3",
-      target: "O1",
-      consumeSignal: false, // Keep signal available for next step
-      targetConsumption: 'copy'
-    },
-    {
-      stepId: 8,
-      type: "intention-to-object",
-      intention: "generate_license",
-      designTimeSignal: [{ name: "expiry_date", TV: "Y" }],
-      source: "O1", 
-      target: "DN4",
-      consumeSignal: true, // Final consumption of signal
-      targetConsumption: 'absorb'
-    },
-    {
-      stepId: 9,
-      type: "final-emission", // Last member emission back to starter
-      intention: "license_complete",
-      designTimeSignal: [{ name: "compiled_license", TV: "Y" }],
-      source: "DN4",
-      target: "STARTER", // Back to initiating system
-      consumeSignal: false, // Final result remains in field
-      targetConsumption: 'copy'
-    }
-  ]
-};
+// Loaded from definitions/make_license_cpux.v2.json (I-O-I-DN pattern, no DN-I-DN allowed)
+reloadDefinitions();
+const CPUXDefinition = getDefinition("make_license_cpux", 2);
 
 // Line 95: Utility functions for CPUX progression
 function sleep(ms) {
@@ -149,7 +51,7 @@ function checkSignalMatch(designTimeSignal, currentField) {
 // Line 105: Enhanced field matching function
 function fieldMatch(field, requiredSignal) {
   console.log("Line 107: FieldMatch called");
-  console.log("Line 108: Required signal:", requiredSignal.map(p => `${p.name}:${p.TV}`));
+  console.log("Line 108: Required signal:", requiredSignal.map(describeGatePulse));
   console.log("Line 109: Current field pulses:", Object.keys(field).map(name => 
     `${name}:${field[name]?.TV || 'undefined'}`));
   
@@ -157,19 +59,14 @@ function fieldMatch(field, requiredSignal) {
   for (const requiredPulse of requiredSignal) {
     const fieldPulse = field[requiredPulse.name];
     
-    // Line 116: Pulse must exist in field
-    if (!fieldPulse) {
-      console.log(`Line 118: MATCH FAILED - Pulse '${requiredPulse.name}' not found in field`);
-      return false;
-    }
-    
-    // Line 122: TV state must match exactly
-    if (fieldPulse.TV !== requiredPulse.TV) {
-      console.log(`Line 124: MATCH FAILED - Pulse '${requiredPulse.name}' TV mismatch. Required: ${requiredPulse.TV}, Found: ${fieldPulse.TV}`);
+    // Line 116: A missing pulse counts as U; a U gate matches anything, a 'not' gate inverts the match
+    // and a 'where' predicate must also hold on the pulse response
+    if (!pulseMatches(fieldPulse, requiredPulse)) {
+      console.log(`Line 118: MATCH FAILED - Required: ${describeGatePulse(requiredPulse)}, Found: ${requiredPulse.name}:${pulseTV(fieldPulse)}${fieldPulse ? '' : ' (not in field)'}`);
       return false;
     }
     
-    console.log(`Line 128: MATCH SUCCESS - Pulse '${requiredPulse.name}' matches ${requiredPulse.TV}`);
+    console.log(`Line 128: MATCH SUCCESS - Pulse '${requiredPulse.name}' matches ${describeGatePulse(requiredPulse)}`);
   }
   
   console.log("Line 131: All required pulses match - FIELD MATCH SUCCESS");
@@ -183,6 +80,12 @@ function fieldAbsorb(incomingSignal, currentField, consume = true) {
   console.log("Line 139: Current field before absorption:", Object.keys(currentField));
   console.log("Line 140: Consume flag:", consume);
   
+  // Line 141: Only Y, N and U are legal TVs
+  const problems = signalProblems(incomingSignal);
+  if (problems.length > 0) {
+    throw new Error(`FieldAbsorb rejected signal: ${problems.join('; ')}`);
+  }
+  
   const updatedField = { ...currentField };
   
   // Line 144: Process each pulse in the incoming signal
@@ -242,11 +145,8 @@ function initializeMemberStatus(sequence) {
 
 // Line 385: Enhanced field utilities that should be in utils/field.js
 function fieldMatch(field, requiredSignal) {
-  // Check if all required pulses exist in field with correct TV values
-  return requiredSignal.every(requiredPulse => {
-    const fieldPulse = field[requiredPulse.name];
-    return fieldPulse && fieldPulse.TV === requiredPulse.TV;
-  });
+  // Check every required pulse against the field (missing = U, U gate = wildcard, not = negation)
+  return requiredSignal.every(requiredPulse => pulseMatches(field[requiredPulse.name], requiredPulse));
 }
 
 // Line 395: Export for module use
@@ -273,6 +173,7 @@ async function runCPUX(cpuxDef) {
   
   let passCount = 0;
   let activationsThisPass = 0;
+  let stopReason = null;
   
   // Line 131: Main CPUX loop - continues until no DN is executing
   while (cpuxActive) {
@@ -345,8 +246,24 @@ async function runCPUX(cpuxDef) {
         dnInstanceId: step.target.startsWith('DN') ? `${CPUX_CONTEXT_ID}:${step.stepId}:${step.target}` : null
       };
       
+      // Line 186: Final emission goes back to whoever started the CPUX, not to a member
+      if (FINAL_TARGETS.includes(step.target)) {
+        console.log(`Line 187: Final emission ${step.intention} -> ${step.target}:`, signalToSend);
+        if (step.target === 'STARTER' && STARTER_CALLBACK_URL) {
+          resultDelivery = { callbackUrl: STARTER_CALLBACK_URL, status: 'pending', attempts: 0 };
+          resultDelivery = {
+            callbackUrl: STARTER_CALLBACK_URL,
+            ...(await deliverWithRetry(STARTER_CALLBACK_URL, { contextId: CPUX_CONTEXT_ID, cpuxId, intention: step.intention, signal: signalToSend }, step.delivery || {},
+              attempt => console.log(`Line 193: Result delivery attempt ${attempt.attempt} ${attempt.status}${attempt.error ? `: ${attempt.error}` : ''}`)))
+          };
+        }
+        executionLog.add(stepKey);
+        activationsThisPass++;
+        continue;
+      }
+      
       try {
-        const memberUrl = targetRegistry[step.target];
+        const memberUrl = await resolveTarget(step.target);
         
         // Line 188: Send intention to target member
         console.log(`Line 189: Sending intention to ${memberUrl}`);
@@ -372,13 +289,8 @@ async function runCPUX(cpuxDef) {
             console.log(`Line 208: Signal copied to DN - remaining in CPUX field`);
           }
           
-          // Line 199: Synchronous wait for DN completion
-          let dnReady = false;
-          let waitCount = 0;
-        //  const maxWait = 30; // 30 second timeout
-          
-          // Line 211: Synchronous wait for DN completion
-          const maxWait = 30; // 30 second timeout
+          // Line 211: Synchronous wait for DN completion, bounded by the step deadline
+          const maxWait = Math.ceil((step.deadlineMs || 30000) / 1000); // one /ready poll per second
           let dnCompleted = false;
           let dnWaitCount = 0;
           
@@ -401,7 +313,7 @@ async function runCPUX(cpuxDef) {
             }
           }
           
-          if (dnReady) {
+          if (dnCompleted) {
             // Line 223: Get result and absorb into field
             try {
               const resultResponse = await axios.post(`${memberUrl}/result`, {
@@ -425,8 +337,12 @@ async function runCPUX(cpuxDef) {
               memberStatus.set(step.target, 'stopped');
             }
           } else {
-            console.log(`Line 246: DN ${step.target} timeout, marking as stopped`);
+            // Line 246: Deadline missed - absorb the timeout pulse so the definition can branch on it
+            const timeoutPulse = { name: `${step.intention}_timeout`, TV: 'N', ...(step.timeoutPulse || {}) };
+            console.log(`Line 246: DN ${step.target} timeout, marking as stopped and absorbing ${timeoutPulse.name}:${timeoutPulse.TV}`);
+            cpuxField = fieldAbsorb([{ ...timeoutPulse, response: { stepId: step.stepId, waitedSeconds: dnWaitCount } }], cpuxField);
             memberStatus.set(step.target, 'stopped');
+            executionLog.add(stepKey);
           }
         } else {
           // Line 262: Object handling 
@@ -496,6 +412,7 @@ async function runCPUX(cpuxDef) {
     
     if (readyDNs.length === 0) {
       console.log(`Line 331: No DN instances ready, terminating CPUX`);
+      stopReason = 'no_dn_ready';
       cpuxActive = false;
       break;
     }
@@ -522,6 +439,7 @@ async function runCPUX(cpuxDef) {
       
       if (possibleActivations === 0) {
         console.log(`Line 338: No possible activations with current field, terminating`);
+        stopReason = 'no_eligible_steps';
         cpuxActive = false;
       } else {
         console.log(`Line 341: Found ${possibleActivations} possible activations, continuing`);
@@ -531,17 +449,48 @@ async function runCPUX(cpuxDef) {
     // Line 311: Prevent infinite loops
     if (passCount > 100) {
       console.log(`Line 313: Maximum passes reached, terminating`);
+      stopReason = 'max_passes';
       cpuxActive = false;
     }
   }
   
-  // Line 318: CPUX completion
-  console.log(`\n=== CPUX ${cpuxId} Completed ===`);
+  // Line 318: Classify how the loop ended
+  termination = classifyTermination(sequence, stopReason);
+  console.log(`\n=== CPUX ${cpuxId} ${termination.state.toUpperCase()} (${termination.reason}) ===`);
+  termination.pendingSteps.forEach(pending => {
+    console.log(`Line 319: Pending step ${pending.stepId} ${pending.intention} waiting for ${pending.missingPulses.map(p => `${p.name}:${p.TV}`).join(', ') || 'nothing (gate matches)'}`);
+  });
   console.log("Line 320: Final field state:", cpuxField);
   console.log("Line 321: Executed steps:", Array.from(executionLog));
   console.log("Line 322: Final DN status:", Object.fromEntries(memberStatus));
 }
 
+// Line 410: Terminal state of the loop - completed, stuck or failed
+function classifyTermination(sequence, stopReason) {
+  const pendingSteps = sequence
+    .filter(step => !executionLog.has(`${step.intention}-${step.target}-${step.stepId}`))
+    .map(step => ({
+      stepId: step.stepId,
+      intention: step.intention,
+      target: step.target,
+      missingPulses: step.designTimeSignal.filter(pulse => !checkSignalMatch([pulse], cpuxField))
+        .map(pulse => ({ name: pulse.name, TV: pulse.TV, fieldTV: pulseTV(cpuxField[pulse.name]) }))
+    }));
+  const stoppedDNs = Array.from(memberStatus.values()).filter(status => status === 'stopped');
+  
+  let state = 'stuck';
+  let reason = stopReason || 'no_eligible_steps';
+  if (pendingSteps.length === 0) {
+    state = 'completed';
+    reason = 'all_steps_executed';
+  } else if (stoppedDNs.length > 0) {
+    state = 'failed';
+    reason = 'dn_stopped';
+  }
+  
+  return { state, at: new Date().toISOString(), reason, pendingSteps };
+}
+
 // Line 418: Enhanced CPUX server endpoint to receive DN emissions with signal consumption
 // CPUX endpoint to receive DN and Object emissions
 app.post('/cpux/intention', async (req, res) => {
@@ -549,6 +498,12 @@ app.post('/cpux/intention', async (req, res) => {
   
   console.log(`\n=== ${source === 'O1' ? 'Object' : 'DN'} Emission Received ===`);
   
+  // Reject pulses whose TV is not Y, N or U
+  const problems = signalProblems(signal);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid signal', problems });
+  }
+  
   // FIXED: Handle both DN and Object instance IDs
   const instanceId = dnInstanceId || objectInstanceId || 'unknown';
   console.log(`From: ${instanceId}`);
@@ -597,6 +552,9 @@ app.post('/cpux/intention', async (req, res) => {
 app.get('/cpux/status', (req, res) => {
   res.json({
     cpuxActive,
+    state: termination ? termination.state : 'running',
+    termination,
+    resultDelivery,
     fieldState: Object.keys(cpuxField),
     memberStatus: Object.fromEntries(memberStatus),
     executedSteps: Array.from(executionLog)
@@ -3,21 +3,35 @@
 // with immediate sync response and later intention emission
 
 const express = require('express');
-const axios = require('axios');
+const transport = require('./utils/transport');
+const { fieldMatch } = require('./utils/field');
+const { claimIdentity, loadIdentity, signedHeaders, authenticate } = require('./utils/identity');
+const { registerMembers } = require('./utils/registry');
 const app = express();
 app.use(express.json());
 
-const PORT = 5001;
+const PORT = Number(process.env.PORT) || 5001; // Replicas run side by side on their own ports
 const CPUX_SERVER_URL = "http://localhost:3000";
 
 // Line 12: DN instance execution tracking (contextId:stepId:DN -> task data)
 let activeInstances = new Map(); // Track running DN instance tasks
 
 // Line 15: Utility function
+// Replicas of one DN type share the node ID but each holds its own key in the registry
+function replicaKeyId(dnType) {
+  return `${dnType}_${PORT}`;
+}
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Line 19: License validity per DN3 intention (the expiry_band branch of make_license_cpux v5)
+const EXPIRY_YEARS_BY_INTENTION = {
+  compute_expiry_3y: 3,
+  compute_expiry_5y: 5
+};
+
 // Line 20: DN Container Registry with async execution patterns
 const DN_CONTAINERS = {
   DN1: {
@@ -76,7 +90,7 @@ const DN_CONTAINERS = {
   DN3: {
     name: "License Expiry Calculator",
     valve: [{ name: "driver_points", TV: "Y" }],
-    handler: async (signal) => {
+    handler: async (signal, intention) => {
       console.log(`Line 76: DN3 computing license expiry...`);
       
       // Line 78: Extract driver points from signal
@@ -86,9 +100,11 @@ const DN_CONTAINERS = {
       // Line 82: Simulate expiry calculation
       await sleep(1000);
       
-      // Line 85: Calculate expiry based on points
+      // Line 85: Definitions with the expiry_band branch choose the validity by intention;
+      // a plain compute_expiry step keeps the points rule here
+      const years = EXPIRY_YEARS_BY_INTENTION[intention] || (points?.currentPoints < 6 ? 5 : 3);
       const baseExpiry = new Date();
-      baseExpiry.setFullYear(baseExpiry.getFullYear() + (points?.currentPoints < 6 ? 5 : 3));
+      baseExpiry.setFullYear(baseExpiry.getFullYear() + years);
       
       return [
         { 
@@ -96,7 +112,7 @@ const DN_CONTAINERS = {
           TV: "Y", 
           response: {
             expiryDate: baseExpiry.toISOString().split('T')[0],
-            validityPeriod: points?.currentPoints < 6 ? "5 years" : "3 years"
+            validityPeriod: `${years} years`
           }
         }
       ];
@@ -130,16 +146,48 @@ const DN_CONTAINERS = {
         }
       ];
     }
+  },
+  
+  // The fine branch of make_license_cpux v6 - only runs for a driver whose personal detail has fine_flag "Y"
+  DN5: {
+    name: "Fine Checker",
+    valve: [{ name: "personal_detail", TV: "Y" }],
+    handler: async (signal) => {
+      console.log(`DN5 checking outstanding fines...`);
+      
+      await sleep(1000);
+      
+      return [
+        { 
+          name: "fine_notice", 
+          TV: "Y", 
+          response: {
+            amount: 100,
+            reason: "Pending fine"
+          }
+        }
+      ];
+    }
   }
 };
 
+// Line 125: DN types this replica hosts - DN_TYPES=DN1,DN3 runs a subset, default is every container
+const HOSTED_DN_TYPES = process.env.DN_TYPES
+  ? process.env.DN_TYPES.split(',').map(dnType => dnType.trim()).filter(dnType => DN_CONTAINERS[dnType])
+  : Object.keys(DN_CONTAINERS);
+
+// Line 126: Running-instance count - shown by /status and advertised to the registry with every heartbeat
+function runningInstanceCount() {
+  return Array.from(activeInstances.values()).filter(task => task.status === 'running').length;
+}
+
 // Line 127: Async processing and emission function for DN instances
-async function processAsyncAndEmit(container, dnType, inputSignal, cpuxId, originalIntention, instanceId) {
+async function processAsyncAndEmit(container, dnType, inputSignal, cpuxId, originalIntention, instanceId, correlationId = null) {
   try {
-    console.log(`Line 131: DN instance ${instanceId} starting async processing...`);
+    console.log(`Line 131: DN instance ${instanceId} starting async processing... [correlation ${correlationId || 'none'}]`);
     
     // Line 133: Execute DN handler
-    const resultSignal = await container.handler(inputSignal);
+    const resultSignal = await container.handler(inputSignal, originalIntention);
     
     console.log(`Line 136: DN instance ${instanceId} completed processing, emitting intention`);
     console.log(`Line 137: Result signal:`, resultSignal);
@@ -151,12 +199,23 @@ async function processAsyncAndEmit(container, dnType, inputSignal, cpuxId, origi
       source: dnType, // DN type (DN1, DN2, etc.)
       target: 'CPUX',
       signal: resultSignal,
-      dnInstanceId: instanceId // Include instance ID for tracking
+      dnInstanceId: instanceId, // Include instance ID for tracking
+      contextId: cpuxId, // Echo the caller's context and correlation so the emission can be traced
+      correlationId: correlationId
     };
     
     // Line 149: Emit intention back to CPUX server
     try {
-      const emissionResponse = await axios.post(`${CPUX_SERVER_URL}/cpux/intention`, emissionIntention);
+      // Signed with this DN type's own key so the CPUX can tell it from an injected pulse
+      const headers = signedHeaders(loadIdentity(dnType, replicaKeyId(dnType)), {
+        intention: emissionIntention.intention,
+        target: 'CPUX',
+        context: cpuxId,
+        signal: resultSignal,
+        dnInstanceId: instanceId,
+        correlationId
+      });
+      const emissionResponse = await transport.post(`${CPUX_SERVER_URL}/cpux/intention`, emissionIntention, { headers });
       
       console.log(`Line 153: DN instance ${instanceId} successfully emitted intention to CPUX`);
       console.log(`Line 154: CPUX response:`, emissionResponse.data);
@@ -167,6 +226,7 @@ async function processAsyncAndEmit(container, dnType, inputSignal, cpuxId, origi
         completedTime: Date.now(),
         emitted: true,
         cpuxId: cpuxId,
+        correlationId: correlationId,
         dnType: dnType
       });
       
@@ -176,6 +236,7 @@ async function processAsyncAndEmit(container, dnType, inputSignal, cpuxId, origi
         status: 'emission_failed', 
         error: emissionError.message,
         cpuxId: cpuxId,
+        correlationId: correlationId,
         dnType: dnType
       });
     }
@@ -186,6 +247,7 @@ async function processAsyncAndEmit(container, dnType, inputSignal, cpuxId, origi
       status: 'processing_failed', 
       error: processingError.message,
       cpuxId: cpuxId,
+      correlationId: correlationId,
       dnType: dnType
     });
   }
@@ -193,19 +255,28 @@ async function processAsyncAndEmit(container, dnType, inputSignal, cpuxId, origi
 
 // Line 183: Main execution endpoint - handles DN instance identification
 app.post('/execute', async (req, res) => {
-  const { cpuxId, stepId, intention, target, signal, dnInstanceId } = req.body;
+  const { stepId, intention, target, signal, dnInstanceId } = req.body;
+  const cpuxId = req.body.contextId || req.body.cpuxId;
+  const correlationId = req.body.correlationId || req.get('X-Correlation-ID') || null;
   
   console.log(`\n=== DN Execute Request ===`);
   console.log(`Line 188: Target: ${target}, DN Instance: ${dnInstanceId || 'not provided'}`);
-  console.log(`Line 189: Intention: ${intention}, CPUX: ${cpuxId}, Step: ${stepId}`);
+  console.log(`Line 189: Intention: ${intention}, CPUX: ${cpuxId}, Step: ${stepId}, Correlation: ${correlationId || 'none'}`);
   console.log(`Line 190: Signal:`, signal);
   
-  const container = DN_CONTAINERS[target];
+  // Only the CPUX may hand out work, and only for the context it signed
+  const signed = { intention, target, context: cpuxId, signal, dnInstanceId, correlationId: req.body.correlationId, source: 'CPUX' };
+  if (!authenticate(req, res, signed, message => console.log(`Line 192: ${message}`))) {
+    return;
+  }
+  
+  const container = HOSTED_DN_TYPES.includes(target) ? DN_CONTAINERS[target] : null;
   if (!container) {
-    console.error(`Line 194: Unknown DN: ${target}`);
+    console.error(`Line 194: Unknown DN: ${target} (this replica hosts ${HOSTED_DN_TYPES.join(', ')})`);
     return res.status(400).json({ 
       status: 'rejected', 
-      error: `Unknown DN: ${target}` 
+      error: `Unknown DN: ${target}`,
+      hostedDNs: HOSTED_DN_TYPES
     });
   }
   
@@ -227,13 +298,9 @@ app.post('/execute', async (req, res) => {
     }
   }
   
-  // Line 218: Check valve conditions for this DN type
-  const canProcess = container.valve.every(requiredPulse => {
-    return signal.some(incomingPulse => 
-      incomingPulse.name === requiredPulse.name && 
-      incomingPulse.TV === requiredPulse.TV
-    );
-  });
+  // Line 218: Check valve conditions for this DN type (pulses absent from the signal count as U)
+  const incomingField = Object.fromEntries(signal.map(incomingPulse => [incomingPulse.name, incomingPulse]));
+  const canProcess = fieldMatch(incomingField, container.valve);
   
   if (!canProcess) {
     console.log(`Line 227: DN instance ${instanceId} valve conditions not met`);
@@ -253,6 +320,7 @@ app.post('/execute', async (req, res) => {
     status: 'running', 
     startTime: Date.now(),
     cpuxId: cpuxId,
+    correlationId: correlationId,
     stepId: stepId,
     dnType: target,
     intention: intention
@@ -261,13 +329,14 @@ app.post('/execute', async (req, res) => {
   console.log(`Line 247: DN instance ${instanceId} accepted work, starting async processing`);
   
   // Line 249: Start async processing (don't await)
-  processAsyncAndEmit(container, target, signal, cpuxId, intention, instanceId)
+  processAsyncAndEmit(container, target, signal, cpuxId, intention, instanceId, correlationId)
     .catch(error => {
       console.error(`Line 252: Error in async processing for instance ${instanceId}:`, error);
       activeInstances.set(instanceId, { 
         status: 'error', 
         error: error.message,
         cpuxId: cpuxId,
+        correlationId: correlationId,
         stepId: stepId,
         dnType: target
       });
@@ -278,6 +347,8 @@ app.post('/execute', async (req, res) => {
     status: 'accepted',
     message: `DN instance ${instanceId} started processing`,
     instanceId: instanceId,
+    contextId: cpuxId,
+    correlationId: correlationId,
     dnType: target
   });
 });
@@ -290,6 +361,7 @@ app.get('/status', (req, res) => {
       return { 
         instanceId, 
         cpuxId: task.cpuxId,
+        correlationId: task.correlationId,
         stepId: task.stepId,
         dnType: task.dnType,
         startTime: task.startTime,
@@ -303,6 +375,7 @@ app.get('/status', (req, res) => {
       return { 
         instanceId, 
         cpuxId: task.cpuxId,
+        correlationId: task.correlationId,
         dnType: task.dnType,
         completedTime: task.completedTime
       };
@@ -312,7 +385,7 @@ app.get('/status', (req, res) => {
     runningInstances: runningInstances.length,
     completedInstances: completedInstances.length,
     totalInstances: activeInstances.size,
-    containerTypes: Object.keys(DN_CONTAINERS),
+    containerTypes: HOSTED_DN_TYPES,
     summary: {
       running: runningInstances,
       completed: completedInstances.slice(-5) // Last 5 completed
@@ -337,6 +410,7 @@ app.get('/instance/:instanceId/status', (req, res) => {
     instanceId,
     status: instance.status,
     cpuxId: instance.cpuxId,
+    correlationId: instance.correlationId,
     stepId: instance.stepId,
     dnType: instance.dnType,
     intention: instance.intention,
@@ -375,16 +449,22 @@ app.get('/health', (req, res) => {
     server: 'Enhanced DN Container Server',
     port: PORT,
     cpuxTarget: CPUX_SERVER_URL,
-    registeredDNs: Object.keys(DN_CONTAINERS),
+    registeredDNs: HOSTED_DN_TYPES,
+    runningInstances: runningInstanceCount(),
     activeInstances: activeInstances.size,
     timestamp: new Date().toISOString()
   });
 });
 
 // Line 358: Start DN container server
-app.listen(PORT, () => {
+transport.listen(app, PORT, () => {
   console.log(`Line 360: 🟢 Enhanced DN Container Server running on port ${PORT}`);
-  console.log(`Line 361: Registered DN types: ${Object.keys(DN_CONTAINERS).join(', ')}`);
+  console.log(`Line 361: Registered DN types: ${HOSTED_DN_TYPES.join(', ')}`);
+  // Each DN type is its own node with its own key in the registry
+  HOSTED_DN_TYPES.forEach(dnType => claimIdentity(dnType, replicaKeyId(dnType)));
+  console.log(`Line 362: Signing emissions as ${HOSTED_DN_TYPES.map(replicaKeyId).join(', ')}`);
+  // The CPUX finds these DN types through the member registry and balances across replicas by their load
+  registerMembers(`http://localhost:${PORT}`, HOSTED_DN_TYPES, console.log, runningInstanceCount);
   console.log(`Line 362: CPUX emission target: ${CPUX_SERVER_URL}/cpux/intention`);
   console.log(`Line 363: Ready to accept DN instance work at /execute`);
   console.log(`Line 364: Instance tracking: contextId:stepId:dnType format`);
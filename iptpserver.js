@@ -5,6 +5,9 @@
  */
 
 const express = require('express');
+const { pulseMatches, pulseTV, describeGatePulse, signalProblems } = require('./utils/field');
+const { claimIdentity, loadIdentity, signedHeaders, authenticate } = require('./utils/identity');
+const { registerMembers, resolveTarget } = require('./utils/registry');
 const app = express();
 
 app.use(express.json());
@@ -13,14 +16,22 @@ app.use(express.json());
 const objectRegistry = new Map();
 const objectStates = new Map();
 
+// The login test endpoint plays DN1 and signs with DN1's key - an open endpoint doing that would let
+// anyone speak for DN1, so it only exists on a development server started with IPTP_DEV_ENDPOINTS=1
+const DEV_ENDPOINTS = process.env.IPTP_DEV_ENDPOINTS === '1';
+
 /**
  * IPTP Protocol Headers Structure:
  * X-IPTP-Intention: "Log me in"
  * X-IPTP-Source: "DN1" 
  * X-IPTP-Target: "O1"
  * X-IPTP-Timestamp: "2024-06-20T10:30:00Z"
+ * X-IPTP-Key-Id: "DN1"
+ * X-IPTP-Signature: "<base64 Ed25519 signature>"
  * 
  * Payload: Signal (array of pulses)
+ * The signature covers intention, source, target, timestamp and signal (see utils/identity.js);
+ * a server holds only its own nodes' keys
  */
 
 /**
@@ -74,6 +85,11 @@ app.post('/iptp', (req, res) => {
             });
         }
 
+        // The source header alone proves nothing - the message must be signed with that node's key
+        if (!authenticate(req, res, { intention, target, signal })) {
+            return;
+        }
+
         // Check if target object is registered
         if (!objectRegistry.has(target)) {
             return res.status(404).json({
@@ -159,8 +175,10 @@ function processIPTPMessage(intention, source, target, signal, timestamp) {
  */
 function FieldAbsorb(objectId, signal) {
     try {
-        if (!Array.isArray(signal)) {
-            console.error('Signal must be an array of pulses');
+        // Pulses must be named and carry a TV of Y, N or U
+        const problems = signalProblems(signal);
+        if (problems.length > 0) {
+            console.error('FieldAbsorb rejected signal:', problems.join('; '));
             return false;
         }
 
@@ -223,23 +241,19 @@ function FieldTrigger(objectId, triggerCondition, outgoingIntention, targetNode)
 
         for (const requiredPulse of triggerCondition) {
             const fieldPulse = fieldPulseMap.get(requiredPulse.name);
-            
-            if (!fieldPulse) {
-                console.log(`❌ Required pulse "${requiredPulse.name}" not found in field`);
-                conditionMet = false;
-                break;
-            }
 
-            if (fieldPulse.TV !== requiredPulse.TV) {
-                console.log(`❌ Pulse "${requiredPulse.name}" TV mismatch. Required: ${requiredPulse.TV}, Found: ${fieldPulse.TV}`);
+            // A pulse missing from the field is U; U conditions match anything, `not` inverts the match,
+            // `where` is a declarative predicate on the pulse response
+            if (!pulseMatches(fieldPulse, requiredPulse)) {
+                console.log(`❌ Condition "${describeGatePulse(requiredPulse)}" not met. Found: ${pulseTV(fieldPulse)}${fieldPulse ? '' : ' (not in field)'}`);
                 conditionMet = false;
                 break;
             }
 
             matchingPulses.push({
-                name: fieldPulse.name,
-                TV: fieldPulse.TV,
-                response: fieldPulse.response
+                name: requiredPulse.name,
+                TV: pulseTV(fieldPulse),
+                response: fieldPulse ? fieldPulse.response : null
             });
         }
 
@@ -287,7 +301,7 @@ function prepareCompleteSignal(objectField) {
  */
 async function emitIPTPIntention(intention, source, target, signal) {
     try {
-        const targetUrl = getNodeUrl(target);
+        const targetUrl = `${await resolveTarget(target, 'iptp')}/iptp`; // Throws for a target nobody serves
         
         console.log(`\n--- Emitting IPTP Intention ---`);
         console.log(`Intention: "${intention}"`);
@@ -300,9 +314,8 @@ async function emitIPTPIntention(intention, source, target, signal) {
             headers: {
                 'Content-Type': 'application/json',
                 'X-IPTP-Intention': intention,
-                'X-IPTP-Source': source,
                 'X-IPTP-Target': target,
-                'X-IPTP-Timestamp': new Date().toISOString()
+                ...signedHeaders(loadIdentity(source), { intention, target, signal })
             },
             body: JSON.stringify(signal)
         });
@@ -320,21 +333,6 @@ async function emitIPTPIntention(intention, source, target, signal) {
     }
 }
 
-/**
- * Get node URL for IPTP communication
- */
-function getNodeUrl(nodeId) {
-    const nodeUrls = {
-        "DN1": "http://localhost:3002/iptp",
-        "DN2": "http://localhost:3001/iptp", 
-        "DN3": "http://localhost:3003/iptp",
-        "O1": "http://localhost:3000/iptp",
-        "O2": "http://localhost:3000/iptp"
-    };
-    
-    return nodeUrls[nodeId] || `http://localhost:3001/iptp`;
-}
-
 /**
  * Register O1 with its intention mappings
  */
@@ -393,9 +391,24 @@ app.get('/iptp/registry', (req, res) => {
 });
 
 /**
- * Test endpoint for complete login flow
+ * Health check - the member registry drops this server when it stops answering
+ */
+app.get('/health', (req, res) => {
+    res.json({
+        status: "healthy",
+        objects: Array.from(objectRegistry.keys()),
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * Test endpoint for complete login flow (development servers only)
  */
 app.post('/test/iptp-login', async (req, res) => {
+    if (!DEV_ENDPOINTS) {
+        return res.status(404).json({ error: 'Test endpoints are disabled', hint: 'start the server with IPTP_DEV_ENDPOINTS=1' });
+    }
+
     try {
         console.log('\n=== Testing IPTP Login Flow ===');
         
@@ -405,57 +418,42 @@ app.post('/test/iptp-login', async (req, res) => {
         }
 
         const baseUrl = 'http://localhost:3000';
-        
-        // Step 1: Send username with IPTP headers
-        console.log('\n--- Step 1: Username ---');
-        await fetch(`${baseUrl}/iptp`, {
+
+        // The test plays DN1, so it signs with DN1's key from the local registry
+        const sendAsDN1 = signal => fetch(`${baseUrl}/iptp`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'X-IPTP-Intention': 'Log me in',
-                'X-IPTP-Source': 'DN1',
-                'X-IPTP-Target': 'O1'
+                'X-IPTP-Target': 'O1',
+                ...signedHeaders(loadIdentity('DN1'), { intention: 'Log me in', target: 'O1', signal })
             },
-            body: JSON.stringify([{
-                name: "user name present",
-                TV: "Y",
-                response: "alice@example.com"
-            }])
+            body: JSON.stringify(signal)
         });
+        
+        // Step 1: Send username with IPTP headers
+        console.log('\n--- Step 1: Username ---');
+        await sendAsDN1([{
+            name: "user name present",
+            TV: "Y",
+            response: "alice@example.com"
+        }]);
 
         // Step 2: Send password with IPTP headers
         console.log('\n--- Step 2: Password ---');
-        await fetch(`${baseUrl}/iptp`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-IPTP-Intention': 'Log me in',
-                'X-IPTP-Source': 'DN1',
-                'X-IPTP-Target': 'O1'
-            },
-            body: JSON.stringify([{
-                name: "password present",
-                TV: "Y",
-                response: "secret123"
-            }])
-        });
+        await sendAsDN1([{
+            name: "password present",
+            TV: "Y",
+            response: "secret123"
+        }]);
 
         // Step 3: Send submit with IPTP headers (should trigger)
         console.log('\n--- Step 3: Submit (Trigger Expected) ---');
-        await fetch(`${baseUrl}/iptp`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-IPTP-Intention': 'Log me in',
-                'X-IPTP-Source': 'DN1',
-                'X-IPTP-Target': 'O1'
-            },
-            body: JSON.stringify([{
-                name: "user responded",
-                TV: "Y",
-                response: "form_submitted"
-            }])
-        });
+        await sendAsDN1([{
+            name: "user responded",
+            TV: "Y",
+            response: "form_submitted"
+        }]);
 
         const finalState = objectStates.get("O1");
         
@@ -474,23 +472,32 @@ app.post('/test/iptp-login', async (req, res) => {
     }
 });
 
-// Initialize system
+// Initialize system - this server signs as the objects it hosts, and as DN1 only for the dev login test
 setupO1LoginObject();
+Array.from(objectRegistry.keys()).forEach(objectId => claimIdentity(objectId));
+if (DEV_ENDPOINTS) {
+    claimIdentity('DN1');
+    console.log('⚠️ IPTP_DEV_ENDPOINTS=1: /test/iptp-login is enabled and signs as DN1 - do not expose this server');
+}
 
 // Server startup
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`🚀 IPTP Protocol Server running on port ${PORT}`);
+    registerMembers(`http://localhost:${PORT}`, Array.from(objectRegistry.keys()), console.log, null, 'iptp');
     console.log('\nIPTP Protocol Endpoints:');
     console.log('POST /iptp - Main IPTP protocol endpoint (intentions in headers, signals as payload)');
     console.log('GET  /iptp/registry - View registered objects and intention mappings');
     console.log('GET  /iptp/object/:id/state - Get object state');
-    console.log('POST /test/iptp-login - Test IPTP login flow');
+    console.log('GET  /health - Health check (probed by the member registry)');
+    console.log(`POST /test/iptp-login - Test IPTP login flow (${DEV_ENDPOINTS ? 'enabled' : 'disabled; set IPTP_DEV_ENDPOINTS=1'})`);
     console.log('\nRequired Headers for IPTP:');
     console.log('  X-IPTP-Intention: "intention name"');
     console.log('  X-IPTP-Source: "source node"');
     console.log('  X-IPTP-Target: "target object"');
-    console.log('\nExample curl:');
+    console.log('  X-IPTP-Key-Id, X-IPTP-Timestamp, X-IPTP-Signature: signed by the source node (utils/identity.js)');
+    console.log(`  Unsigned messages are rejected unless IPTP_AUTH=warn or IPTP_AUTH=off`);
+    console.log('\nExample curl (with IPTP_AUTH=off):');
     console.log('curl -X POST http://localhost:3000/iptp \\');
     console.log('  -H "X-IPTP-Intention: Log me in" \\');
     console.log('  -H "X-IPTP-Source: DN1" \\');
@@ -2,6 +2,8 @@
 // O1: License Object Server handling field absorption and reflection
 
 const express = require('express');
+const { fieldMatch: matchesField, signalProblems } = require('./utils/field');
+const { registerMembers } = require('./utils/registry');
 const app = express();
 app.use(express.json());
 
@@ -36,20 +38,29 @@ const triggerMappings = [
 
 
 function fieldAbsorb(signal, field) {
+  const problems = signalProblems(signal);
+  if (problems.length > 0) {
+    throw new Error(`[O1] Cannot absorb signal: ${problems.join('; ')}`);
+  }
   for (const pulse of signal) {
     field[pulse.name] = pulse;
   }
   return field;
 }
 
+// Missing pulses count as U; U conditions match anything and `not` inverts a pulse
 function fieldMatch(field, condition) {
-  return condition.every(p => field[p.name]?.TV === p.TV);
+  return matchesField(field, condition);
 }
 
 const resultStore = {};
 
 app.post('/execute', (req, res) => {
   const { cpuxId, sequenceIndex, intention, signal } = req.body;
+  const problems = signalProblems(signal);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid signal', problems });
+  }
   objectField = fieldAbsorb(signal, objectField);
   console.log(`\n[O1] Absorbed intention '${intention}' with signal.`);
 
@@ -81,6 +92,11 @@ app.post('/result', (req, res) => {
   res.json(result);
 });
 
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+});
+
 app.listen(4000, () => {
   console.log("🟡 O1 Object Server running on port 4000");
+  registerMembers('http://localhost:4000', ['O1']);
 });
@@ -0,0 +1,204 @@
+// registry_server.js
+// Member registry: Objects and DN containers register the member IDs they serve,
+// renew with heartbeats and are dropped when heartbeats stop or /health stops answering.
+// CPUX and IPTP emitters resolve targets here instead of using hardcoded URL tables.
+//
+// POST   /registry/registrations                  { url, members: ['DN1', ...], protocol, runningInstances } -> { registrationId, heartbeatIntervalMs }
+//                                                  protocol is 'cpux' (POST /execute, the default) or 'iptp' (POST /iptp)
+// POST   /registry/registrations/:id/heartbeat    { runningInstances } renew and report load; 404 means re-register
+// DELETE /registry/registrations/:id              deregister on shutdown
+// GET    /registry/members                        every member ID with its live instances
+// GET    /registry/members/:memberId              resolve one member; 404 when nothing live serves it
+
+const express = require('express');
+const transport = require('./utils/transport');
+const { PROTOCOLS } = require('./utils/registry');
+const app = express();
+app.use(express.json());
+
+const REGISTRY_PORT = Number(process.env.REGISTRY_PORT) || 3100;
+const HEARTBEAT_INTERVAL_MS = Number(process.env.REGISTRY_HEARTBEAT_MS) || 5000;
+const HEARTBEAT_TTL_MS = HEARTBEAT_INTERVAL_MS * 3; // Three missed heartbeats and the registration lapses
+const HEALTH_CHECK_INTERVAL_MS = Number(process.env.REGISTRY_HEALTH_CHECK_MS) || 5000;
+const HEALTH_TIMEOUT_MS = 2000;
+const MAX_HEALTH_FAILURES = 2; // Consecutive failed /health probes before removal
+const MEMBER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const registrations = new Map(); // registrationId -> { registrationId, url, members, protocol, runningInstances, registeredAt, lastHeartbeat, healthFailures }
+let nextRegistrationId = 1;
+
+function isMemberUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function registrationProblems(body) {
+  const problems = [];
+  if (!body || !isMemberUrl(body.url)) {
+    problems.push('url must be an absolute http(s) URL');
+  }
+  if (!body || !Array.isArray(body.members) || body.members.length === 0) {
+    problems.push('members must be a non-empty array of member IDs');
+  } else {
+    body.members.filter(member => typeof member !== 'string' || !MEMBER_ID_PATTERN.test(member))
+      .forEach(member => problems.push(`member ID ${JSON.stringify(member)} must be 1-64 letters, digits, _ or -`));
+  }
+  if (body && body.protocol !== undefined && !PROTOCOLS.includes(body.protocol)) {
+    problems.push(`protocol must be one of ${PROTOCOLS.join(', ')}`);
+  }
+  return problems;
+}
+
+// Load a replica reports with each heartbeat - the running-instance count its /status shows
+function reportedLoad(body) {
+  return body && Number.isInteger(body.runningInstances) && body.runningInstances >= 0 ? body.runningInstances : 0;
+}
+
+function describe(registration) {
+  return {
+    registrationId: registration.registrationId,
+    url: registration.url,
+    members: registration.members,
+    protocol: registration.protocol,
+    runningInstances: registration.runningInstances,
+    registeredAt: registration.registeredAt,
+    lastHeartbeat: new Date(registration.lastHeartbeat).toISOString(),
+    healthFailures: registration.healthFailures
+  };
+}
+
+function removeRegistration(registrationId, reason) {
+  const registration = registrations.get(registrationId);
+  if (!registration) {
+    return false;
+  }
+  registrations.delete(registrationId);
+  console.log(`➖ Removed ${registrationId} (${registration.members.join(', ')} at ${registration.url}): ${reason}`);
+  return true;
+}
+
+// Live instances (replicas) serving a member ID, most recently renewed first
+function instancesOf(memberId) {
+  return Array.from(registrations.values())
+    .filter(registration => registration.members.includes(memberId))
+    .sort((a, b) => b.lastHeartbeat - a.lastHeartbeat)
+    .map(registration => ({
+      registrationId: registration.registrationId,
+      url: registration.url,
+      protocol: registration.protocol,
+      runningInstances: registration.runningInstances,
+      lastHeartbeat: new Date(registration.lastHeartbeat).toISOString()
+    }));
+}
+
+app.post('/registry/registrations', (req, res) => {
+  const problems = registrationProblems(req.body);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid registration', problems });
+  }
+
+  const url = req.body.url.replace(/\/+$/, '');
+  const members = Array.from(new Set(req.body.members));
+  const protocol = req.body.protocol || 'cpux';
+
+  // A restarted member re-registering at the same URL replaces its old registration
+  Array.from(registrations.values())
+    .filter(registration => registration.url === url)
+    .forEach(registration => removeRegistration(registration.registrationId, 'replaced by a new registration'));
+
+  const registrationId = `REG_${nextRegistrationId++}`;
+  registrations.set(registrationId, {
+    registrationId,
+    url,
+    members,
+    protocol,
+    runningInstances: reportedLoad(req.body),
+    registeredAt: new Date().toISOString(),
+    lastHeartbeat: Date.now(),
+    healthFailures: 0
+  });
+
+  console.log(`➕ Registered ${registrationId}: ${members.join(', ')} (${protocol}) at ${url}`);
+  res.status(201).json({ registrationId, url, members, protocol, heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS });
+});
+
+app.post('/registry/registrations/:registrationId/heartbeat', (req, res) => {
+  const registration = registrations.get(req.params.registrationId);
+  if (!registration) {
+    return res.status(404).json({ error: 'Unknown registration - register again', registrationId: req.params.registrationId });
+  }
+
+  registration.lastHeartbeat = Date.now();
+  registration.runningInstances = reportedLoad(req.body);
+  res.json({ registrationId: registration.registrationId, heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS });
+});
+
+app.delete('/registry/registrations/:registrationId', (req, res) => {
+  if (!removeRegistration(req.params.registrationId, 'deregistered')) {
+    return res.status(404).json({ error: 'Unknown registration', registrationId: req.params.registrationId });
+  }
+  res.json({ registrationId: req.params.registrationId, removed: true });
+});
+
+app.get('/registry/members', (req, res) => {
+  const memberIds = Array.from(new Set(Array.from(registrations.values()).flatMap(registration => registration.members))).sort();
+  res.json({
+    memberCount: memberIds.length,
+    members: memberIds.map(memberId => ({ memberId, instances: instancesOf(memberId) })),
+    registrations: Array.from(registrations.values()).map(describe)
+  });
+});
+
+app.get('/registry/members/:memberId', (req, res) => {
+  const { memberId } = req.params;
+  const instances = instancesOf(memberId);
+  if (instances.length === 0) {
+    return res.status(404).json({
+      error: `Unknown target ${memberId}: no live member serves it`,
+      memberId,
+      knownMembers: Array.from(new Set(Array.from(registrations.values()).flatMap(registration => registration.members))).sort()
+    });
+  }
+  res.json({ memberId, url: instances[0].url, instances });
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy', registrations: registrations.size, timestamp: new Date().toISOString() });
+});
+
+// Drop lapsed registrations and probe the rest; one sweep at a time
+async function sweep() {
+  const now = Date.now();
+
+  for (const registration of Array.from(registrations.values())) {
+    if (now - registration.lastHeartbeat > HEARTBEAT_TTL_MS) {
+      removeRegistration(registration.registrationId, `no heartbeat for ${now - registration.lastHeartbeat}ms`);
+      continue;
+    }
+
+    try {
+      await transport.get(`${registration.url}/health`, { timeout: HEALTH_TIMEOUT_MS });
+      registration.healthFailures = 0;
+    } catch (error) {
+      registration.healthFailures++;
+      console.log(`⚠️ ${registration.registrationId} /health failed (${registration.healthFailures}/${MAX_HEALTH_FAILURES}): ${error.message}`);
+      if (registration.healthFailures >= MAX_HEALTH_FAILURES) {
+        removeRegistration(registration.registrationId, '/health stopped answering');
+      }
+    }
+  }
+
+  setTimeout(sweep, HEALTH_CHECK_INTERVAL_MS);
+}
+
+transport.listen(app, REGISTRY_PORT, () => {
+  console.log(`📒 Member Registry running on port ${REGISTRY_PORT}`);
+  console.log(`Heartbeat every ${HEARTBEAT_INTERVAL_MS}ms, lapse after ${HEARTBEAT_TTL_MS}ms`);
+  console.log(`Health probes every ${HEALTH_CHECK_INTERVAL_MS}ms, removal after ${MAX_HEALTH_FAILURES} failures`);
+  setTimeout(sweep, HEALTH_CHECK_INTERVAL_MS);
+});
+
+module.exports = app;
@@ -0,0 +1,82 @@
+// render_diagram.js
+// Print a CPUX definition as a Mermaid or Graphviz DOT diagram
+// Usage: node render_diagram.js <cpuxId | definition.json> [--version N] [--format mermaid|dot]
+//        node render_diagram.js --run <contextId | journal/CPUX_....jsonl> [--format mermaid|dot]
+// With --run the recorded run's definition is drawn with each step coloured by its status in the journal
+
+const fs = require('fs');
+const path = require('path');
+const { newRunState, applyRunEvent, stepStatuses } = require('./cpux_engine');
+const { reloadDefinitions, getDefinition } = require('./utils/definitions');
+const { readJournal } = require('./utils/journal');
+const { DIAGRAM_FORMATS, renderDiagram } = require('./utils/diagram');
+
+function parseArgs(argv) {
+  const options = { format: 'mermaid', version: undefined, run: null, target: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      options.format = argv[++i];
+    } else if (argv[i] === '--version') {
+      options.version = argv[++i];
+    } else if (argv[i] === '--run') {
+      options.run = argv[++i];
+    } else {
+      options.target = argv[i];
+    }
+  }
+  return options;
+}
+
+function loadDefinition(target, version) {
+  if (target.endsWith('.json') && fs.existsSync(target)) {
+    return JSON.parse(fs.readFileSync(target, 'utf8'));
+  }
+
+  reloadDefinitions();
+  const definition = getDefinition(target, version);
+  if (!definition) {
+    throw new Error(`No definition ${target}${version ? ` v${version}` : ''} in the catalog`);
+  }
+  return definition;
+}
+
+// Rebuild the run's state from its journal the way recovery does; no member is called
+function loadRun(target) {
+  const entries = fs.existsSync(target)
+    ? fs.readFileSync(target, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+    : readJournal(target);
+  const started = entries.find(entry => entry.type === 'run_started');
+  if (!started) {
+    throw new Error(`No journal with a run_started entry found for ${target}`);
+  }
+
+  const run = newRunState(started.contextId || path.basename(target, '.jsonl'), started.definition, started.startedAt, started.starter || null, started.dispatch || null, started.correlationId);
+  entries.forEach(entry => applyRunEvent(run, entry));
+  return run;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if ((!options.target && !options.run) || !DIAGRAM_FORMATS.includes(options.format)) {
+    console.error('Usage: node render_diagram.js <cpuxId | definition.json> [--version N] [--format mermaid|dot]');
+    console.error('       node render_diagram.js --run <contextId | journal file> [--format mermaid|dot]');
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.run) {
+    const run = loadRun(options.run);
+    process.stdout.write(renderDiagram(run.definition, { format: options.format, overlay: stepStatuses(run) }));
+  } else {
+    process.stdout.write(renderDiagram(loadDefinition(options.target, options.version), { format: options.format }));
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`Diagram failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
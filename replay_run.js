@@ -0,0 +1,235 @@
+// replay_run.js
+// Deterministic replay of a recorded CPUX run from its journal
+// Re-drives the engine with the recorded emissions and member responses - no live Objects or DNs
+// Usage: node replay_run.js <contextId | journal/CPUX_....jsonl>
+
+const fs = require('fs');
+const path = require('path');
+const { newRunState, executeCPUX, handleEmission, handleTimer, handleChildFailure, cancelRun } = require('./cpux_engine');
+const { readJournal } = require('./utils/journal');
+
+// Event types that describe field evolution and are compared between recording and replay
+const COMPARED_EVENTS = ['field_absorbed', 'pulses_consumed', 'pulses_restored', 'step_executed', 'dn_status', 'instance_lost', 'step_timed_out', 'step_rearmed', 'iteration_cap_reached', 'branch_taken', 'result_produced', 'run_terminated', 'run_completed'];
+
+// Inputs from outside the engine, fed back in the order they were journaled
+function isInput(entry) {
+  return entry.type === 'emission_received' || entry.type === 'timer_fired' || entry.type === 'child_failed' ||
+    (entry.type === 'run_terminated' && entry.state === 'cancelled');
+}
+
+// Strip what legitimately differs between runs (seq, wall-clock times)
+function comparable(event) {
+  switch (event.type) {
+    case 'field_absorbed':
+      return {
+        type: event.type,
+        pulses: event.pulses.map(({ name, TV, response }) => ({ name, TV, response }))
+      };
+    case 'pulses_consumed':
+    case 'pulses_restored':
+      return { type: event.type, stepKey: event.stepKey, pulses: event.pulses.map(({ name, TV }) => ({ name, TV })) };
+    case 'step_executed':
+      return { type: event.type, stepKey: event.stepKey };
+    case 'step_rearmed':
+      return { type: event.type, stepKey: event.stepKey, iteration: event.iteration };
+    case 'iteration_cap_reached':
+      return { type: event.type, stepKey: event.stepKey, iterations: event.iterations };
+    case 'step_timed_out':
+      return { type: event.type, stepKey: event.stepKey, attempts: event.attempts, reason: event.reason };
+    case 'instance_lost':
+      return { type: event.type, stepKey: event.stepKey };
+    case 'dn_status':
+      return { type: event.type, dnInstanceId: event.dnInstanceId, status: event.status };
+    case 'branch_taken':
+      return { type: event.type, branchId: event.branchId, label: event.label, skippedSteps: event.skippedSteps };
+    case 'result_produced':
+      return { type: event.type, stepId: event.stepId, signal: event.signal };
+    case 'run_terminated':
+      return { type: event.type, state: event.state, reason: event.reason };
+    case 'run_completed': // Older journals; equivalent to a completed termination
+      return { type: 'run_terminated', state: 'completed', reason: 'all_steps_executed' };
+    default:
+      return { type: event.type };
+  }
+}
+
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Serves recorded /execute responses to the engine and notes any call that differs
+function createMemberStub(recordedCalls, divergences) {
+  const pending = recordedCalls.slice();
+
+  const memberCall = async (step, payload) => {
+    const index = pending.findIndex(call => call.stepId === step.stepId && call.target === step.target);
+
+    if (index === -1) {
+      divergences.push({
+        kind: 'unrecorded_call',
+        stepId: step.stepId,
+        target: step.target,
+        message: `step ${step.stepId} called ${step.target}, but the recording has no such call`
+      });
+      throw new Error(`No recorded response for step ${step.stepId} -> ${step.target}`);
+    }
+
+    const [recorded] = pending.splice(index, 1);
+
+    if (index !== 0) {
+      divergences.push({
+        kind: 'call_order',
+        stepId: step.stepId,
+        target: step.target,
+        message: `step ${step.stepId} -> ${step.target} was recorded ${index} call(s) later`
+      });
+    }
+
+    if (recorded.payload.intention !== payload.intention || !sameJSON(recorded.payload.signal, payload.signal)) {
+      divergences.push({
+        kind: 'payload_mismatch',
+        stepId: step.stepId,
+        target: step.target,
+        recorded: { intention: recorded.payload.intention, signal: recorded.payload.signal },
+        replayed: { intention: payload.intention, signal: payload.signal },
+        message: `step ${step.stepId} -> ${step.target} sent a different payload than recorded (seq ${recorded.seq})`
+      });
+    }
+
+    if (recorded.error) {
+      throw new Error(recorded.error);
+    }
+    return { data: recorded.response, replica: recorded.replica };
+  };
+
+  return { memberCall, pending };
+}
+
+// Replay one recorded run; returns the divergence report
+async function replayRun(contextId, entries) {
+  const started = entries.find(entry => entry.type === 'run_started');
+  if (!started) {
+    throw new Error('Journal has no run_started entry');
+  }
+
+  const divergences = [];
+  const recordedCalls = entries.filter(entry => entry.type === 'member_called');
+  const inputs = entries.filter(isInput);
+  const emissions = inputs.filter(entry => entry.type === 'emission_received');
+
+  const stub = createMemberStub(recordedCalls, divergences);
+  const run = newRunState(started.contextId || contextId, started.definition, started.startedAt, started.starter || null, started.dispatch || null, started.correlationId);
+  run.replay = {
+    events: [],
+    memberCall: stub.memberCall
+  };
+
+  // Same order as live: initial pass, then each recorded emission or timer as it arrived
+  await executeCPUX(run);
+  for (const input of inputs) {
+    if (input.type === 'emission_received') {
+      await handleEmission(run, input.body);
+    } else if (input.type === 'timer_fired') {
+      await handleTimer(run, { kind: input.kind, stepKey: input.stepKey, attempt: input.attempt, registrationId: input.registrationId });
+    } else if (input.type === 'child_failed') {
+      const { stepKey, childContextId, state, reason } = input;
+      await handleChildFailure(run, { stepKey, childContextId, state, reason });
+    } else {
+      cancelRun(run, input.reason);
+    }
+  }
+
+  // Field evolution: recorded vs replayed, event by event
+  const recorded = entries.filter(entry => COMPARED_EVENTS.includes(entry.type)).map(comparable);
+  const replayed = run.replay.events.filter(event => COMPARED_EVENTS.includes(event.type)).map(comparable);
+  const length = Math.max(recorded.length, replayed.length);
+
+  for (let i = 0; i < length; i++) {
+    if (!sameJSON(recorded[i], replayed[i])) {
+      divergences.push({
+        kind: 'field_evolution',
+        index: i,
+        recorded: recorded[i] || null,
+        replayed: replayed[i] || null,
+        message: `event ${i} differs: recorded ${recorded[i] ? recorded[i].type : 'nothing'}, replayed ${replayed[i] ? replayed[i].type : 'nothing'}`
+      });
+      break; // Everything after the first divergence is a consequence of it
+    }
+  }
+
+  // Recorded calls the current code never made
+  stub.pending.forEach(call => {
+    divergences.push({
+      kind: 'missing_call',
+      stepId: call.stepId,
+      target: call.target,
+      message: `recorded call step ${call.stepId} -> ${call.target} (seq ${call.seq}) was not made during replay`
+    });
+  });
+
+  return {
+    contextId: run.contextId,
+    cpuxId: started.cpuxId,
+    version: started.version,
+    recordedEvents: recorded.length,
+    replayedEvents: replayed.length,
+    emissionsReplayed: emissions.length,
+    timersReplayed: inputs.filter(entry => entry.type === 'timer_fired').length,
+    memberCallsRecorded: recordedCalls.length,
+    identical: divergences.length === 0,
+    divergences,
+    state: run.state,
+    result: run.result,
+    finalField: Object.fromEntries(Object.entries(run.cpuxField).map(([name, pulse]) => [name, { TV: pulse.TV, response: pulse.response }])),
+    executedSteps: Array.from(run.executionLog)
+  };
+}
+
+function loadJournal(target) {
+  if (fs.existsSync(target)) {
+    return {
+      contextId: path.basename(target, '.jsonl'),
+      entries: fs.readFileSync(target, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+    };
+  }
+
+  const entries = readJournal(target);
+  if (entries.length === 0) {
+    throw new Error(`No journal found for ${target}`);
+  }
+  return { contextId: target, entries };
+}
+
+async function main() {
+  const target = process.argv[2];
+  if (!target) {
+    console.error('Usage: node replay_run.js <contextId | journal file>');
+    process.exitCode = 2;
+    return;
+  }
+
+  const { contextId, entries } = loadJournal(target);
+  const report = await replayRun(contextId, entries);
+
+  console.log(`\n=== Replay of ${report.contextId} (${report.cpuxId} v${report.version}) ===`);
+  console.log(`Recorded events: ${report.recordedEvents}, replayed events: ${report.replayedEvents}, replayed state: ${report.state}`);
+  console.log(`Emissions replayed: ${report.emissionsReplayed}, timers replayed: ${report.timersReplayed}, member calls recorded: ${report.memberCallsRecorded}`);
+
+  if (report.identical) {
+    console.log('✅ Replay matches the recording');
+  } else {
+    console.log(`❌ ${report.divergences.length} divergence(s):`);
+    report.divergences.forEach(d => console.log(`  ${d.kind}: ${d.message}`));
+  }
+
+  process.exitCode = report.identical ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Replay failed: ${error.message}`);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = { replayRun };
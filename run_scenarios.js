@@ -0,0 +1,253 @@
+// run_scenarios.js
+// Executable scenarios for CPUX definitions, run in memory against the engine (see simulate_run.js)
+// Usage: node run_scenarios.js [scenario.json | directory ...]   (defaults to scenarios/)
+//
+// A scenario file:
+// {
+//   "name": "three-year license for a driver with 7 points",
+//   "cpuxId": "make_license_cpux", "version": 5,          // or "definitionFile": "../definitions/x.json"
+//   "given": {
+//     "field": [{ "name": "start_license_request", "TV": "Y", "response": "initiated" }], // replaces the start signal
+//     "members": { "DN2": { "emits": [{ "name": "driver_points", "TV": "Y", "response": { "currentPoints": 7 } }] } },
+//     "dispatch": { "mode": "ordered" }
+//   },
+//   "expect": {
+//     "state": "completed", "reason": "all_steps_executed",
+//     "field": [{ "name": "expiry_date", "TV": "Y", "where": { "path": "validityPeriod", "op": "==", "value": "3 years" } }],
+//     "result": [{ "name": "compiled_license", "TV": "Y" }],
+//     "absentFields": ["fine_notice"],                       // never absorbed into the field
+//     "executedSteps": [6, 9], "skippedSteps": [7], "notExecutedSteps": [],
+//     "stepOrder": [2, 4, 6, 9]                              // executed in this relative order
+//   }
+// }
+// Field and result assertions are gate pulses: TV Y/N/U, `not` and a `where` predicate on the response.
+// A gate pulse with TV U also matches a pulse that is present, so absence is asserted with absentFields.
+// "members" uses the simulation's member table format.
+
+const fs = require('fs');
+const path = require('path');
+const { simulateRun } = require('./simulate_run');
+const { reloadDefinitions, getDefinition } = require('./utils/definitions');
+const { fieldMatch, describeGatePulse, signalProblems, isTruthValue } = require('./utils/field');
+const { predicateProblems } = require('./utils/predicate');
+const { dispatchProblems } = require('./utils/validator');
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+const STEP_LISTS = ['executedSteps', 'skippedSteps', 'notExecutedSteps', 'stepOrder'];
+
+function collectFiles(targets) {
+  return targets.flatMap(target => {
+    if (fs.statSync(target).isDirectory()) {
+      return fs.readdirSync(target)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(target, name));
+    }
+    return [target];
+  });
+}
+
+// Problems with an assertion list written as gate pulses
+function assertionProblems(pulses, where) {
+  if (!Array.isArray(pulses)) {
+    return [`${where} must be an array of pulses`];
+  }
+  return pulses.flatMap((pulse, index) => {
+    const problems = [];
+    if (!pulse || typeof pulse.name !== 'string' || !isTruthValue(pulse.TV)) {
+      problems.push(`${where}[${index}] needs a name and a TV of Y, N or U`);
+    }
+    if (pulse && pulse.where !== undefined) {
+      problems.push(...predicateProblems(pulse.where, `${where}[${index}].where`));
+    }
+    return problems;
+  });
+}
+
+// Shape of a scenario; [] when it can be run
+function scenarioProblems(scenario) {
+  const problems = [];
+  if (!scenario.cpuxId && !scenario.definitionFile) {
+    problems.push('scenario needs cpuxId or definitionFile');
+  }
+
+  const given = scenario.given || {};
+  if (given.field !== undefined) {
+    problems.push(...signalProblems(given.field).map(problem => `given.field: ${problem}`));
+  }
+  if (given.members !== undefined && (!given.members || typeof given.members !== 'object' || Array.isArray(given.members))) {
+    problems.push('given.members must be an object keyed by member ID');
+  }
+  if (given.dispatch !== undefined) {
+    problems.push(...dispatchProblems(given.dispatch).map(problem => `given.${problem}`));
+  }
+
+  const expect = scenario.expect;
+  if (!expect || typeof expect !== 'object') {
+    problems.push('scenario needs an expect object');
+    return problems;
+  }
+  ['field', 'result'].filter(key => expect[key] !== undefined)
+    .forEach(key => problems.push(...assertionProblems(expect[key], `expect.${key}`)));
+  if (expect.absentFields !== undefined && !(Array.isArray(expect.absentFields) && expect.absentFields.every(name => typeof name === 'string'))) {
+    problems.push('expect.absentFields must be an array of pulse names');
+  }
+  STEP_LISTS.filter(key => expect[key] !== undefined && !(Array.isArray(expect[key]) && expect[key].every(Number.isInteger)))
+    .forEach(key => problems.push(`expect.${key} must be an array of step IDs`));
+  return problems;
+}
+
+function loadDefinition(scenario, file) {
+  if (scenario.definitionFile) {
+    return JSON.parse(fs.readFileSync(path.resolve(path.dirname(file), scenario.definitionFile), 'utf8'));
+  }
+  const definition = getDefinition(scenario.cpuxId, scenario.version);
+  if (!definition) {
+    throw new Error(`No definition ${scenario.cpuxId}${scenario.version ? ` v${scenario.version}` : ''} in the catalog`);
+  }
+  return definition;
+}
+
+function describePulse(pulse) {
+  return pulse ? `${pulse.TV} ${JSON.stringify(pulse.response)}` : 'absent';
+}
+
+// Every expectation that does not hold, as a message
+function checkExpectations(expect, report) {
+  const failures = [];
+
+  if (expect.state !== undefined && report.state !== expect.state) {
+    failures.push(`state is ${report.state}, expected ${expect.state}`);
+  }
+  const reason = report.termination ? report.termination.reason : null;
+  if (expect.reason !== undefined && reason !== expect.reason) {
+    failures.push(`terminal reason is ${reason}, expected ${expect.reason}`);
+  }
+
+  (expect.field || []).forEach(pulse => {
+    if (!fieldMatch(report.finalField, [pulse])) {
+      failures.push(`field ${describeGatePulse(pulse)} does not hold: ${pulse.name} is ${describePulse(report.finalField[pulse.name])}`);
+    }
+  });
+
+  (expect.absentFields || []).filter(name => report.finalField[name] !== undefined)
+    .forEach(name => failures.push(`field ${name} should be absent but is ${describePulse(report.finalField[name])}`));
+
+  if (expect.result !== undefined) {
+    const resultField = report.result ? Object.fromEntries(report.result.signal.map(pulse => [pulse.name, pulse])) : {};
+    if (!report.result) {
+      failures.push('the run produced no result');
+    } else {
+      expect.result.forEach(pulse => {
+        if (!fieldMatch(resultField, [pulse])) {
+          failures.push(`result ${describeGatePulse(pulse)} does not hold: ${pulse.name} is ${describePulse(resultField[pulse.name])}`);
+        }
+      });
+    }
+  }
+
+  // Step IDs in the order their steps executed (a re-armed step appears once per run of it)
+  const executedOrder = report.events.filter(event => event.type === 'step_executed').map(event => event.stepId);
+  const skipped = report.skippedSteps.map(stepKey => Number(stepKey.split(':')[0]));
+
+  (expect.executedSteps || []).filter(stepId => !executedOrder.includes(stepId))
+    .forEach(stepId => failures.push(`step ${stepId} did not execute`));
+  (expect.notExecutedSteps || []).filter(stepId => executedOrder.includes(stepId))
+    .forEach(stepId => failures.push(`step ${stepId} executed, expected it not to`));
+  (expect.skippedSteps || []).filter(stepId => !skipped.includes(stepId))
+    .forEach(stepId => failures.push(`step ${stepId} was not skipped by a branch`));
+
+  if (expect.stepOrder !== undefined) {
+    let position = 0;
+    for (const stepId of executedOrder) {
+      if (stepId === expect.stepOrder[position]) {
+        position++;
+      }
+    }
+    if (position < expect.stepOrder.length) {
+      failures.push(`steps executed in order [${executedOrder.join(', ')}], expected [${expect.stepOrder.join(', ')}] in that order`);
+    }
+  }
+
+  return failures;
+}
+
+// Run one scenario; returns { file, name, passed, failures, report }
+async function runScenario(scenario, file = 'scenario') {
+  const name = scenario.name || path.basename(file, '.json');
+  const problems = scenarioProblems(scenario);
+  if (problems.length > 0) {
+    return { file, name, passed: false, failures: problems.map(problem => `invalid scenario: ${problem}`), report: null };
+  }
+
+  const definition = loadDefinition(scenario, file);
+  const given = scenario.given || {};
+  const seeded = given.field
+    ? { ...definition, startIntention: { ...definition.startIntention, signal: given.field } }
+    : definition;
+
+  const report = await simulateRun(seeded, {
+    members: given.members,
+    dispatch: given.dispatch,
+    contextId: `SCENARIO_${path.basename(file, '.json')}`
+  });
+
+  const failures = checkExpectations(scenario.expect, report);
+  return { file, name, passed: failures.length === 0, failures, report };
+}
+
+// Run fn with the console captured; the engine logs every step and scripted failures log errors.
+// Returns fn's result and the captured error/warning lines
+async function quietly(fn) {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  const captured = [];
+  console.log = () => {};
+  console.warn = (...args) => captured.push(args.join(' '));
+  console.error = (...args) => captured.push(args.join(' '));
+  try {
+    return { value: await fn(), captured };
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+async function main() {
+  const targets = process.argv.slice(2);
+  const files = collectFiles(targets.length > 0 ? targets : [SCENARIOS_DIR]);
+  await quietly(() => reloadDefinitions());
+
+  const results = [];
+  for (const file of files) {
+    const { value, captured } = await quietly(() => runScenario(JSON.parse(fs.readFileSync(file, 'utf8')), file)
+      .catch(error => ({ file, name: path.basename(file, '.json'), passed: false, failures: [`cannot run: ${error.message}`], report: null })));
+    results.push({ ...value, captured });
+  }
+
+  // Errors and warnings logged during a scenario only matter when it failed
+  for (const result of results) {
+    const timing = result.report ? ` (${result.report.state}, virtual ${result.report.virtualDurationMs}ms)` : '';
+    console.log(`${result.passed ? '✅' : '❌'} ${path.basename(result.file)}: ${result.name}${timing}`);
+    result.failures.forEach(failure => console.log(`  ${failure}`));
+    if (!result.passed) {
+      result.captured.forEach(line => console.log(`  | ${line}`));
+    }
+  }
+
+  const passed = results.filter(result => result.passed).length;
+  console.log(`\n${passed}/${results.length} scenarios passed`);
+  process.exitCode = passed === results.length ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Scenario run failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  SCENARIOS_DIR,
+  scenarioProblems,
+  checkExpectations,
+  runScenario
+};
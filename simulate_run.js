@@ -0,0 +1,256 @@
+// simulate_run.js
+// In-process simulation of a CPUX definition - no CPUX, Object or DN servers, no real waiting
+// Members are stubbed by canned emission tables and a virtual clock replaces their sleep() delays,
+// so a run reaches its terminal state in milliseconds with the full field trace.
+// Usage: node simulate_run.js <cpuxId | definition.json> [--version N] [--members members.json]
+//
+// Member table: { [target]: spec | [spec, ...] | { byIntention: { [intention]: spec | [spec, ...] }, ...spec } }
+//   spec: { delayMs, emits: [{ name, TV, response }] | null, intention, status, error }
+//   - emits: pulses the member emits back after delayMs of virtual time; null never emits (a hung DN)
+//   - status: what /execute answers (default 'accepted'); anything else is a rejection
+//   - error: the /execute call fails with this message (an unreachable member)
+//   - an array gives successive calls successive specs; the last one repeats
+// Entries replace the canned DEFAULT_MEMBERS entry of the same member ID.
+// A DN or nested CPUX without an entry emits its declared `emits` with a null response;
+// an Object without an entry accepts the work and emits nothing.
+
+const fs = require('fs');
+const { newRunState, executeCPUX, handleEmission, pendingSteps } = require('./cpux_engine');
+const { reloadDefinitions, getDefinition } = require('./utils/definitions');
+const { memberKind, isAsyncKind } = require('./utils/validator');
+
+const DEFAULT_START_AT = '2025-01-01T00:00:00.000Z'; // Virtual start, fixed so traces are reproducible
+const DEFAULT_DN_DELAY_MS = 1000;
+const DEFAULT_MAX_VIRTUAL_MS = 24 * 60 * 60 * 1000; // A simulation stops after a virtual day
+const FIELD_EVENTS = ['field_absorbed', 'pulses_consumed', 'pulses_restored'];
+
+// Canned responses mirroring the DN containers in enhanced_dn_server.js, with fixed IDs and dates
+const DEFAULT_MEMBERS = {
+  DN1: { delayMs: 2000, emits: [{ name: 'personal_detail', TV: 'Y', response: { name: 'Alice Johnson', age: 24, licenseType: 'standard', fine_flag: 'Y' } }] },
+  DN2: { delayMs: 1500, emits: [{ name: 'driver_points', TV: 'Y', response: { currentPoints: 3, maxPoints: 12, violations: ['speeding_2023', 'parking_2024'] } }] },
+  DN3: {
+    delayMs: 1000,
+    emits: [{ name: 'expiry_date', TV: 'Y', response: { expiryDate: '2030-01-01', validityPeriod: '5 years' } }],
+    byIntention: {
+      compute_expiry_3y: { delayMs: 1000, emits: [{ name: 'expiry_date', TV: 'Y', response: { expiryDate: '2028-01-01', validityPeriod: '3 years' } }] }
+    }
+  },
+  DN4: {
+    delayMs: 2500,
+    emits: [{ name: 'compiled_license', TV: 'Y', response: { licenseId: 'LIC0000000001', issueDate: '2025-01-01', expiryDate: '2030-01-01', status: 'active', digitalSignature: 'SIGsimulated' } }]
+  },
+  DN5: { delayMs: 1000, emits: [{ name: 'fine_notice', TV: 'Y', response: { amount: 100, reason: 'Pending fine' } }] }
+};
+
+// Virtual time: callbacks fire in due order when the simulation advances, never on their own
+function createVirtualClock(startMs) {
+  const queue = []; // { id, at, fn }
+  let now = startMs;
+  let nextId = 1;
+
+  return {
+    now: () => now,
+    setTimeout(fn, delayMs) {
+      const timer = { id: nextId++, at: now + Math.max(0, delayMs || 0), fn };
+      queue.push(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      const index = queue.indexOf(timer);
+      if (index !== -1) {
+        queue.splice(index, 1);
+      }
+    },
+    // Earliest due callback (ties in scheduling order), advancing virtual time to it
+    next() {
+      if (queue.length === 0) {
+        return null;
+      }
+      queue.sort((a, b) => a.at - b.at || a.id - b.id);
+      const timer = queue.shift();
+      now = timer.at;
+      return timer;
+    }
+  };
+}
+
+// The spec answering this call of target/intention
+function specFor(members, step, call) {
+  const entry = members[step.target];
+  const pick = specs => (Array.isArray(specs) ? specs[Math.min(call, specs.length - 1)] : specs);
+
+  if (entry && !Array.isArray(entry) && entry.byIntention && entry.byIntention[step.intention]) {
+    return pick(entry.byIntention[step.intention]);
+  }
+  if (entry) {
+    return pick(entry);
+  }
+  if (isAsyncKind(memberKind(step))) {
+    return { delayMs: DEFAULT_DN_DELAY_MS, emits: (step.emits || []).map(({ name, TV }) => ({ name, TV, response: null })) };
+  }
+  return { emits: null };
+}
+
+// Stands in for every member's /execute; emissions are queued on the virtual clock
+function createMockMembers(run, members, clock) {
+  const calls = [];
+  const callCounts = new Map(); // `${target}:${intention}` -> calls so far
+
+  async function memberCall(step, payload) {
+    const callKey = `${step.target}:${step.intention}`;
+    const call = callCounts.get(callKey) || 0;
+    callCounts.set(callKey, call + 1);
+
+    const spec = specFor(members, step, call) || {};
+    const at = new Date(clock.now()).toISOString();
+
+    if (spec.error) {
+      calls.push({ at, stepId: step.stepId, target: step.target, intention: step.intention, error: spec.error });
+      throw new Error(spec.error);
+    }
+
+    const status = spec.status || 'accepted';
+    calls.push({ at, stepId: step.stepId, target: step.target, intention: step.intention, status, signal: payload.signal });
+
+    if (status === 'accepted' && Array.isArray(spec.emits)) {
+      const async = isAsyncKind(memberKind(step));
+      const instanceId = `${run.contextId}:${step.stepId}:${step.target}`;
+      const emission = {
+        intention: spec.intention || `result_${step.intention}`,
+        signal: spec.emits,
+        source: step.target,
+        contextId: run.contextId,
+        cpuxId: run.contextId,
+        correlationId: run.correlationId,
+        ...(async ? { dnInstanceId: instanceId } : { objectInstanceId: instanceId })
+      };
+      const delayMs = spec.delayMs !== undefined ? spec.delayMs : (async ? DEFAULT_DN_DELAY_MS : 0);
+      clock.setTimeout(() => handleEmission(run, emission), delayMs);
+    }
+
+    return { data: { status, instanceId: payload.dnInstanceId } };
+  }
+
+  return { memberCall, calls };
+}
+
+// Run a definition to its terminal state in memory; returns the report
+// options: { members, contextId, correlationId, dispatch, startAt, maxVirtualMs }
+async function simulateRun(cpuxDef, options = {}) {
+  const members = { ...DEFAULT_MEMBERS, ...(options.members || {}) };
+  const startAt = options.startAt || DEFAULT_START_AT;
+  const maxVirtualMs = options.maxVirtualMs || DEFAULT_MAX_VIRTUAL_MS;
+  const contextId = options.contextId || `SIM_${cpuxDef.cpuxId}_v${cpuxDef.version}`;
+
+  const clock = createVirtualClock(Date.parse(startAt));
+  const run = newRunState(contextId, cpuxDef, startAt, null, options.dispatch || null, options.correlationId);
+  const mocks = createMockMembers(run, members, clock);
+  run.replay = {
+    events: [],
+    memberCall: mocks.memberCall,
+    clock
+  };
+
+  const wallStart = Date.now();
+  let stopReason = null;
+
+  await executeCPUX(run);
+  while (!run.termination) {
+    const timer = clock.next();
+    if (!timer) {
+      stopReason = 'nothing_scheduled'; // A member that never emits and no deadline to notice it
+      break;
+    }
+    if (timer.at - Date.parse(startAt) > maxVirtualMs) {
+      stopReason = 'max_virtual_time';
+      break;
+    }
+    await timer.fn();
+  }
+
+  return {
+    contextId: run.contextId,
+    cpuxId: cpuxDef.cpuxId,
+    version: cpuxDef.version,
+    state: run.state,
+    termination: run.termination,
+    stopReason,
+    result: run.result,
+    startedAt: startAt,
+    endedAt: new Date(clock.now()).toISOString(),
+    virtualDurationMs: clock.now() - Date.parse(startAt),
+    wallClockMs: Date.now() - wallStart,
+    executedSteps: Array.from(run.executionLog),
+    skippedSteps: Array.from(run.skippedSteps.keys()),
+    timedOutSteps: Object.fromEntries(run.timedOutSteps),
+    pendingSteps: run.termination ? run.termination.pendingSteps : pendingSteps(run),
+    finalField: Object.fromEntries(Object.entries(run.cpuxField).map(([name, pulse]) => [name, { TV: pulse.TV, response: pulse.response }])),
+    fieldTrace: run.replay.events.filter(event => FIELD_EVENTS.includes(event.type)).map(event => ({
+      seq: event.seq,
+      at: event.at,
+      type: event.type,
+      ...(event.stepId !== undefined && event.stepId !== null ? { stepId: event.stepId } : {}),
+      ...(event.source ? { source: event.source } : {}),
+      pulses: event.pulses.map(({ name, TV, response }) => ({ name, TV, response }))
+    })),
+    memberCalls: mocks.calls,
+    events: run.replay.events
+  };
+}
+
+function loadDefinition(target, version) {
+  if (target.endsWith('.json') && fs.existsSync(target)) {
+    return JSON.parse(fs.readFileSync(target, 'utf8'));
+  }
+
+  reloadDefinitions();
+  const definition = getDefinition(target, version);
+  if (!definition) {
+    throw new Error(`No definition ${target}${version ? ` v${version}` : ''} in the catalog`);
+  }
+  return definition;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+  const target = args.find((arg, index) => !arg.startsWith('--') && (index === 0 || !args[index - 1].startsWith('--')));
+  if (!target) {
+    console.error('Usage: node simulate_run.js <cpuxId | definition.json> [--version N] [--members members.json]');
+    process.exitCode = 2;
+    return;
+  }
+
+  const membersFile = option('--members');
+  const report = await simulateRun(loadDefinition(target, option('--version')), {
+    members: membersFile ? JSON.parse(fs.readFileSync(membersFile, 'utf8')) : undefined
+  });
+
+  console.log(`\n=== Simulation of ${report.cpuxId} v${report.version} (${report.contextId}) ===`);
+  console.log(`State: ${report.state}${report.stopReason ? ` (stopped: ${report.stopReason})` : ''}, virtual time ${report.virtualDurationMs}ms, wall clock ${report.wallClockMs}ms`);
+  console.log('Field trace:');
+  report.fieldTrace.forEach(entry => {
+    console.log(`  +${Date.parse(entry.at) - Date.parse(report.startedAt)}ms ${entry.type} ${entry.pulses.map(p => `${p.name}:${p.TV}`).join(', ')}${entry.source ? ` from ${entry.source}` : ''}`);
+  });
+  if (report.result) {
+    console.log('Result:', JSON.stringify(report.result.signal));
+  }
+  report.pendingSteps.forEach(pending => {
+    console.log(`  pending step ${pending.stepId}: ${pending.intention} -> ${pending.target}`);
+  });
+
+  process.exitCode = report.state === 'completed' ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Simulation failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  DEFAULT_MEMBERS,
+  createVirtualClock,
+  simulateRun
+};
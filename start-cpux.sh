@@ -13,6 +13,10 @@ EOF
 
 echo "Starting CPUX System on macOS..."
 
+# Start the member registry first - every member registers with it
+run_mac_terminal "echo '[Registry] Starting Member Registry...'; node registry_server.js"
+sleep 1
+
 # Start Object Server
 run_mac_terminal "echo '[O1] Starting Object Server...'; node object-server.js"
 
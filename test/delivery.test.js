@@ -0,0 +1,27 @@
+// test/delivery.test.js
+// Result delivery policies a starter may send with its callbackUrl
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deliveryProblems, deliveryPolicyOf } = require('../utils/delivery');
+
+test('a policy within the limits has no problems', () => {
+  assert.deepEqual(deliveryProblems({}), []);
+  assert.deepEqual(deliveryProblems({ maxAttempts: 3, backoffMs: 500, backoffFactor: 2, maxBackoffMs: 10000, timeoutMs: 2000 }), []);
+});
+
+test('out-of-range and non-numeric settings are refused', () => {
+  assert.equal(deliveryProblems({ maxAttempts: 1000000 }).length, 1);
+  assert.equal(deliveryProblems({ maxAttempts: 2.5 }).length, 1);
+  assert.equal(deliveryProblems({ timeoutMs: 0 }).length, 1);
+  assert.equal(deliveryProblems({ backoffFactor: 0.5 }).length, 1);
+  assert.equal(deliveryProblems({ backoffMs: '1000' }).length, 1);
+  assert.equal(deliveryProblems({ maxBackoffMs: Infinity }).length, 1);
+});
+
+test('fields that are not delivery settings are refused and never reach the sender', () => {
+  assert.match(deliveryProblems({ firstAttempt: 99 })[0], /firstAttempt is not a delivery setting/);
+  assert.equal(deliveryProblems([]).length, 1);
+  assert.deepEqual(deliveryPolicyOf({ maxAttempts: 2, firstAttempt: 99 }), { maxAttempts: 2 });
+  assert.deepEqual(deliveryPolicyOf(null), {});
+});
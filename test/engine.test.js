@@ -0,0 +1,105 @@
+// test/engine.test.js
+// Engine behaviour driven through the in-memory simulation (virtual clock, scripted members)
+// and the scenario files in scenarios/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { simulateRun } = require('../simulate_run');
+const { runScenario, SCENARIOS_DIR } = require('../run_scenarios');
+const { reloadDefinitions } = require('../utils/definitions');
+
+// The engine narrates every step; keep the test output to the results
+const quiet = { log: console.log, warn: console.warn, error: console.error };
+test.before(() => {
+  console.log = console.warn = console.error = () => {};
+  reloadDefinitions();
+});
+test.after(() => Object.assign(console, quiet));
+
+// go -> DN1 (consumes go) -> done -> final
+function consumingDefinition(stepOptions = {}) {
+  return {
+    cpuxId: 'engine_test',
+    version: 1,
+    startIntention: { name: 'start', signal: [{ name: 'go', TV: 'Y', response: 'payload' }], target: 'O1' },
+    sequence: [
+      {
+        stepId: 1,
+        intention: 'work',
+        designTimeSignal: [{ name: 'go', TV: 'Y' }],
+        target: 'DN1',
+        type: 'dn',
+        emits: [{ name: 'done', TV: 'Y' }],
+        consumeSignal: true,
+        ...stepOptions
+      },
+      { stepId: 2, intention: 'finish', designTimeSignal: [{ name: 'done', TV: 'Y' }], target: 'CONSOLE', type: 'final' }
+    ]
+  };
+}
+
+const done = { delayMs: 500, emits: [{ name: 'done', TV: 'Y', response: 'ok' }] };
+const eventsOf = (report, type) => report.events.filter(event => event.type === type);
+
+test('a consumed gate pulse leaves the field while the DN holds it', async () => {
+  const report = await simulateRun(consumingDefinition(), { members: { DN1: done } });
+  assert.equal(report.state, 'completed');
+  assert.equal(report.finalField.go, undefined);
+  assert.equal(eventsOf(report, 'pulses_consumed').length, 1);
+});
+
+test('a retry after a missed deadline sends the consumed pulses again', async () => {
+  const definition = consumingDefinition({ deadlineMs: 1000, retry: { maxAttempts: 2, backoffMs: 100 } });
+  const report = await simulateRun(definition, { members: { DN1: [{ emits: null }, done] } });
+
+  assert.equal(report.state, 'completed');
+  assert.equal(report.memberCalls.length, 2);
+  report.memberCalls.forEach(call => assert.deepEqual(call.signal, [{ name: 'go', TV: 'Y', response: 'payload' }]));
+  assert.equal(eventsOf(report, 'pulses_restored')[0].reason, 'deadline_exceeded');
+  assert.equal(report.virtualDurationMs, 1000 + 100 + 500);
+});
+
+test('a step that gives up returns its consumed pulses and absorbs its timeout pulse', async () => {
+  const definition = consumingDefinition({ deadlineMs: 1000, retry: { maxAttempts: 2, backoffMs: 100 } });
+  const report = await simulateRun(definition, { members: { DN1: { emits: null } } });
+
+  assert.equal(report.state, 'failed');
+  assert.equal(report.termination.reason, 'step_timed_out');
+  assert.deepEqual(report.finalField.go, { TV: 'Y', response: 'payload' });
+  assert.equal(report.finalField.work_timeout.TV, 'N');
+  assert.equal(report.finalField.work_timeout.response.attempts, 2);
+
+  // The pulse is back before the timeout pulse is absorbed
+  const types = report.fieldTrace.map(entry => entry.type);
+  assert.ok(types.lastIndexOf('pulses_restored') < types.lastIndexOf('field_absorbed'));
+});
+
+test('a rejected dispatch gives the consumed pulses straight back', async () => {
+  const report = await simulateRun(consumingDefinition(), { members: { DN1: { status: 'rejected' } } });
+  assert.equal(report.state, 'failed');
+  assert.deepEqual(report.finalField.go, { TV: 'Y', response: 'payload' });
+  assert.equal(eventsOf(report, 'pulses_restored')[0].reason, 'target_rejected');
+});
+
+test('a negated gate fires while the pulse is absent', async () => {
+  const definition = consumingDefinition();
+  definition.sequence[0].designTimeSignal.push({ name: 'blocked', TV: 'Y', not: true });
+  const report = await simulateRun(definition, { members: { DN1: done } });
+  assert.equal(report.state, 'completed');
+
+  definition.startIntention.signal.push({ name: 'blocked', TV: 'Y' });
+  const blocked = await simulateRun(definition, { members: { DN1: done } });
+  assert.notEqual(blocked.state, 'completed');
+  assert.equal(blocked.memberCalls.length, 0);
+});
+
+// The scenario files double as engine regression cases
+fs.readdirSync(SCENARIOS_DIR).filter(name => name.endsWith('.json')).sort().forEach(name => {
+  test(`scenario ${name}`, async () => {
+    const file = path.join(SCENARIOS_DIR, name);
+    const result = await runScenario(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+    assert.deepEqual(result.failures, []);
+  });
+});
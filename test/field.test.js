@@ -0,0 +1,72 @@
+// test/field.test.js
+// Y/N/U field semantics shared by the CPUX gates, Object triggers and DN valves
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pulseTV, pulseMatches, fieldMatch, signalProblems, fieldAbsorb, describeGatePulse } = require('../utils/field');
+
+const field = {
+  personal_detail: { name: 'personal_detail', TV: 'Y', response: { age: 24 } },
+  authentication_failed: { name: 'authentication_failed', TV: 'N', response: null },
+  driver_points: { name: 'driver_points', TV: 'Y', response: { currentPoints: 7 } }
+};
+
+test('a pulse missing from the field is U', () => {
+  assert.equal(pulseTV(undefined), 'U');
+  assert.equal(pulseTV({ name: 'x' }), 'U');
+  assert.equal(pulseTV(field.authentication_failed), 'N');
+});
+
+test('a gate pulse matches only its own TV', () => {
+  assert.equal(pulseMatches(field.personal_detail, { name: 'personal_detail', TV: 'Y' }), true);
+  assert.equal(pulseMatches(field.personal_detail, { name: 'personal_detail', TV: 'N' }), false);
+  assert.equal(pulseMatches(undefined, { name: 'personal_detail', TV: 'Y' }), false);
+  assert.equal(pulseMatches(undefined, { name: 'personal_detail', TV: 'U' }), true);
+});
+
+test('a U gate pulse is a wildcard for Y, N, U and absent pulses', () => {
+  const wildcard = { name: 'p', TV: 'U' };
+  ['Y', 'N', 'U'].forEach(TV => assert.equal(pulseMatches({ name: 'p', TV }, wildcard), true));
+  assert.equal(pulseMatches(undefined, wildcard), true);
+});
+
+test('not inverts a gate pulse, so absent and U pulses match "not Y"', () => {
+  const notFailed = { name: 'authentication_failed', TV: 'Y', not: true };
+  assert.equal(pulseMatches(field.authentication_failed, notFailed), true);
+  assert.equal(pulseMatches(undefined, notFailed), true);
+  assert.equal(pulseMatches({ name: 'authentication_failed', TV: 'Y' }, notFailed), false);
+});
+
+test('where adds a predicate on the response, negated together with the TV by not', () => {
+  const sixOrMore = { path: 'currentPoints', op: '>=', value: 6 };
+  assert.equal(pulseMatches(field.driver_points, { name: 'driver_points', TV: 'Y', where: sixOrMore }), true);
+  assert.equal(pulseMatches({ name: 'driver_points', TV: 'Y', response: { currentPoints: 3 } }, { name: 'driver_points', TV: 'Y', where: sixOrMore }), false);
+  assert.equal(pulseMatches({ name: 'driver_points', TV: 'Y', response: { currentPoints: 3 } }, { name: 'driver_points', TV: 'Y', not: true, where: sixOrMore }), true);
+  assert.equal(describeGatePulse({ name: 'driver_points', TV: 'Y', not: true, where: sixOrMore }), 'not driver_points:Y where currentPoints >= 6');
+});
+
+test('fieldMatch requires every gate pulse', () => {
+  assert.equal(fieldMatch(field, [{ name: 'personal_detail', TV: 'Y' }, { name: 'driver_points', TV: 'Y' }]), true);
+  assert.equal(fieldMatch(field, [{ name: 'personal_detail', TV: 'Y' }, { name: 'expiry_date', TV: 'Y' }]), false);
+  assert.equal(fieldMatch(field, []), true);
+});
+
+test('signalProblems rejects unnamed pulses and illegal TVs', () => {
+  assert.deepEqual(signalProblems([{ name: 'a', TV: 'Y' }, { name: 'b', TV: 'U' }]), []);
+  assert.deepEqual(signalProblems('Y'), ['signal must be an array of pulses']);
+  assert.equal(signalProblems([{ TV: 'Y' }]).length, 1);
+  assert.match(signalProblems([{ name: 'a', TV: 'yes' }])[0], /illegal TV/);
+});
+
+test('fieldAbsorb copies the field, replaces pulses unless told to keep them, and refuses illegal TVs', () => {
+  const before = { a: { name: 'a', TV: 'Y', response: 1 } };
+  const replaced = fieldAbsorb([{ name: 'a', TV: 'N', response: 2 }], before);
+  assert.equal(replaced.a.TV, 'N');
+  assert.equal(before.a.TV, 'Y');
+
+  const kept = fieldAbsorb([{ name: 'a', TV: 'N' }, { name: 'b', TV: 'Y' }], before, false);
+  assert.equal(kept.a.TV, 'Y');
+  assert.equal(kept.b.TV, 'Y');
+
+  assert.throws(() => fieldAbsorb([{ name: 'a', TV: 'maybe' }], before), /Cannot absorb signal/);
+});
@@ -0,0 +1,67 @@
+// test/identity.test.js
+// Signed node identities: a process signs only as the nodes it claims, and every signed field is covered
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setKeyDir, claimIdentity, loadIdentity, signedHeaders, verificationProblem } = require('../utils/identity');
+
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptp-keys-'));
+setKeyDir(keyDir);
+test.after(() => fs.rmSync(keyDir, { recursive: true, force: true }));
+
+// Headers as express hands them to a receiver
+const received = headers => Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+const emission = {
+  intention: 'result_fetch_driver_points',
+  target: 'CPUX',
+  context: 'RUN_1',
+  signal: [{ name: 'driver_points', TV: 'Y', response: { currentPoints: 7 } }],
+  dnInstanceId: 'RUN_1:4:DN2',
+  correlationId: 'session-1'
+};
+
+test('a node that was not claimed cannot be signed for', () => {
+  assert.throws(() => loadIdentity('DN1'), /not claimed by this process/);
+  const dn2 = claimIdentity('DN2');
+  assert.equal(loadIdentity('DN2'), dn2);
+  assert.throws(() => loadIdentity('DN1', 'DN2'), /not claimed by this process/);
+  assert.throws(() => claimIdentity('DN1', 'DN2'), /claimed by node DN2/);
+});
+
+test('a signed message verifies once and is then a replay', () => {
+  const headers = received(signedHeaders(claimIdentity('DN2'), emission));
+  assert.equal(verificationProblem(headers, { ...emission, source: 'DN2' }), null);
+  assert.match(verificationProblem(headers, { ...emission, source: 'DN2' }), /replayed/);
+});
+
+test('changing a signed field breaks the signature', () => {
+  const dn2 = claimIdentity('DN2');
+  const tampered = [
+    { dnInstanceId: 'RUN_1:2:DN1' },
+    { objectInstanceId: 'RUN_1:3:O1' },
+    { correlationId: 'session-2' },
+    { context: 'RUN_2' },
+    { signal: [{ name: 'driver_points', TV: 'Y', response: { currentPoints: 0 } }] }
+  ];
+  tampered.forEach(change => {
+    const headers = received(signedHeaders(dn2, emission));
+    assert.match(verificationProblem(headers, { ...emission, ...change }), /bad signature/, JSON.stringify(change));
+  });
+});
+
+test('the body may not name a different source than the signer', () => {
+  const headers = received(signedHeaders(claimIdentity('DN2'), emission));
+  assert.match(verificationProblem(headers, { ...emission, source: 'DN1' }), /claims source DN1/);
+  assert.match(verificationProblem({ ...headers, 'x-iptp-source': 'DN1' }, emission), /belongs to DN2/);
+});
+
+test('unsigned and stale messages are rejected', () => {
+  assert.match(verificationProblem({}, emission), /missing/);
+  const stale = received(signedHeaders(claimIdentity('DN2'), emission));
+  stale['x-iptp-timestamp'] = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  assert.match(verificationProblem(stale, emission), /replay window/);
+});
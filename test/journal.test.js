@@ -0,0 +1,31 @@
+// test/journal.test.js
+// Run journals: sequence numbers, archiving of settled runs and late entries
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setJournalDir, appendJournalEntry, archiveJournal, readJournal, readJournals } = require('../utils/journal');
+
+const journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptp-journal-'));
+setJournalDir(journalDir);
+test.after(() => fs.rmSync(journalDir, { recursive: true, force: true }));
+
+test('an archived journal leaves recovery and keeps counting for late entries', () => {
+  appendJournalEntry('RUN_A', { type: 'run_started' });
+  appendJournalEntry('RUN_A', { type: 'run_terminated' });
+  assert.equal(archiveJournal('RUN_A'), true);
+  assert.deepEqual(readJournals().map(journal => journal.contextId), []);
+
+  const late = appendJournalEntry('RUN_A', { type: 'emission_received' });
+  assert.equal(late.seq, 3);
+  assert.deepEqual(readJournal('RUN_A').map(entry => entry.seq), [1, 2, 3]);
+  assert.equal(fs.existsSync(path.join(journalDir, 'RUN_A.jsonl')), false);
+});
+
+test('a live journal numbers its entries from 1', () => {
+  assert.equal(appendJournalEntry('RUN_B', { type: 'run_started' }).seq, 1);
+  assert.equal(appendJournalEntry('RUN_B', { type: 'field_absorbed' }).seq, 2);
+  assert.deepEqual(readJournals().map(journal => journal.contextId), ['RUN_B']);
+});
@@ -0,0 +1,60 @@
+// test/predicate.test.js
+// Declarative response predicates (gate `where` clauses and Object trigger conditions)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePath, evaluatePredicate, predicateProblems, describePredicate } = require('../utils/predicate');
+
+const response = {
+  currentPoints: 7,
+  status: 'active',
+  violations: ['speeding_2023', 'dui_2024'],
+  license: { expiryDate: '2028-01-01' }
+};
+
+test('paths follow own properties only', () => {
+  assert.equal(resolvePath(response, 'license.expiryDate'), '2028-01-01');
+  assert.equal(resolvePath(response, ['violations', '1']), 'dui_2024');
+  assert.equal(resolvePath(response, ''), response);
+  assert.equal(resolvePath(response, 'license.missing.deeper'), undefined);
+  assert.equal(resolvePath(response, '__proto__'), undefined);
+  assert.equal(resolvePath(response, 'constructor'), undefined);
+});
+
+test('comparisons only order numbers with numbers and strings with strings', () => {
+  assert.equal(evaluatePredicate({ path: 'currentPoints', op: '>=', value: 6 }, response), true);
+  assert.equal(evaluatePredicate({ path: 'currentPoints', op: '<', value: 6 }, response), false);
+  assert.equal(evaluatePredicate({ path: 'currentPoints', op: '>', value: '6' }, response), false);
+  assert.equal(evaluatePredicate({ path: 'license.expiryDate', op: '<', value: '2030-01-01' }, response), true);
+  assert.equal(evaluatePredicate({ path: 'license', op: '==', value: { expiryDate: '2028-01-01' } }, response), true);
+});
+
+test('membership, contains and existence operators', () => {
+  assert.equal(evaluatePredicate({ path: 'status', op: 'in', value: ['active', 'new'] }, response), true);
+  assert.equal(evaluatePredicate({ path: 'status', op: 'notIn', value: ['active'] }, response), false);
+  assert.equal(evaluatePredicate({ path: 'violations', op: 'contains', value: 'dui_2024' }, response), true);
+  assert.equal(evaluatePredicate({ path: 'status', op: 'contains', value: 'act' }, response), true);
+  assert.equal(evaluatePredicate({ path: 'license.expiryDate', op: 'exists' }, response), true);
+  assert.equal(evaluatePredicate({ path: 'fine', op: 'missing' }, response), true);
+});
+
+test('all, any and not combine predicates', () => {
+  const risky = { any: [{ path: 'currentPoints', op: '>=', value: 6 }, { path: 'violations', op: 'contains', value: 'dui_2024' }] };
+  assert.equal(evaluatePredicate(risky, response), true);
+  assert.equal(evaluatePredicate({ all: [risky, { path: 'status', op: '==', value: 'suspended' }] }, response), false);
+  assert.equal(evaluatePredicate({ not: risky }, response), false);
+});
+
+test('malformed predicates evaluate to false instead of throwing', () => {
+  assert.equal(evaluatePredicate(null, response), false);
+  assert.equal(evaluatePredicate({ path: 'currentPoints', op: 'matches', value: '.*' }, response), false);
+  assert.equal(evaluatePredicate({ path: 'currentPoints', op: '>=', value: 6 }, undefined), false);
+});
+
+test('predicateProblems explains malformed predicates and accepts well-formed ones', () => {
+  assert.deepEqual(predicateProblems({ path: 'currentPoints', op: '>=', value: 6 }), []);
+  assert.deepEqual(predicateProblems({ all: [{ path: 'a', op: 'exists' }, { not: { path: 'b', op: 'in', value: [1] } }] }), []);
+  assert.ok(predicateProblems({ path: 'a', op: 'matches', value: 1 }).length > 0);
+  assert.ok(predicateProblems([]).length > 0);
+  assert.equal(describePredicate({ path: 'currentPoints', op: '>=', value: 6 }), 'currentPoints >= 6');
+});
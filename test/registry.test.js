@@ -0,0 +1,97 @@
+// test/registry.test.js
+// Target resolution through the member registry, which both CPUX and IPTP members register with
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const transport = require('../utils/transport');
+
+const memory = transport.use(transport.createMemoryTransport());
+const { REGISTRY_URL, listInstances, resolveTarget } = require('../utils/registry');
+const { setKeyDir, claimIdentity } = require('../utils/identity');
+const { setJournalDir } = require('../utils/journal');
+const { createRun, executeCPUX } = require('../cpux_engine');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'iptp-registry-'));
+setKeyDir(path.join(scratch, 'keys'));
+setJournalDir(path.join(scratch, 'journal'));
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const heartbeat = new Date().toISOString();
+
+// What registry_server.js answers for each member ID, most recently renewed first
+const registered = {
+  DN2: [
+    { registrationId: 'REG_2', url: 'http://localhost:3001', protocol: 'iptp', runningInstances: 0, lastHeartbeat: heartbeat },
+    { registrationId: 'REG_1', url: 'http://localhost:5002', protocol: 'cpux', runningInstances: 2, lastHeartbeat: heartbeat }
+  ],
+  O1: [
+    { registrationId: 'REG_3', url: 'http://localhost:3000', protocol: 'iptp', runningInstances: 0, lastHeartbeat: heartbeat }
+  ]
+};
+
+const registry = express();
+registry.get('/registry/members/:memberId', (req, res) => {
+  const instances = registered[req.params.memberId];
+  if (!instances) {
+    return res.status(404).json({ error: `Unknown target ${req.params.memberId}: no live member serves it` });
+  }
+  res.json({ memberId: req.params.memberId, url: instances[0].url, instances });
+});
+memory.mount(REGISTRY_URL, registry);
+
+// The CPUX DN2 container takes work on /execute; the IPTP DN2 login node only speaks /iptp
+const received = { cpux: [], iptp: [] };
+const container = express();
+container.use(express.json());
+container.post('/execute', (req, res) => {
+  received.cpux.push(req.body);
+  res.json({ status: 'accepted' });
+});
+memory.mount('http://localhost:5002', container);
+
+const loginNode = express();
+loginNode.use(express.json());
+loginNode.post('/iptp', (req, res) => {
+  received.iptp.push(req.body);
+  res.json({ status: 'processed' });
+});
+memory.mount('http://localhost:3001', loginNode);
+
+test('a member ID registered under both protocols resolves per protocol', async () => {
+  assert.equal(await resolveTarget('DN2'), 'http://localhost:5002');
+  assert.equal(await resolveTarget('DN2', 'iptp'), 'http://localhost:3001');
+  assert.deepEqual((await listInstances('DN2')).map(instance => instance.registrationId), ['REG_1']);
+});
+
+test('a member served only over the other protocol is an unknown target', async () => {
+  await assert.rejects(resolveTarget('O1'), /Unknown target O1: no live cpux member/);
+  assert.equal(await resolveTarget('O1', 'iptp'), 'http://localhost:3000');
+  await assert.rejects(listInstances('DN9'), /Unknown target DN9/);
+});
+
+test('least-loaded balancing only picks DN replicas that take CPUX work', async () => {
+  claimIdentity('CPUX');
+  const quiet = { log: console.log, error: console.error };
+  console.log = console.error = () => {};
+  let run;
+  try {
+    run = createRun({
+      cpuxId: 'registry_test',
+      version: 1,
+      startIntention: { name: 'start', signal: [{ name: 'go', TV: 'Y' }], target: 'O1' },
+      sequence: [{ stepId: 1, intention: 'fetch_driver_points', designTimeSignal: [{ name: 'go', TV: 'Y' }], target: 'DN2', type: 'dn', emits: [{ name: 'driver_points', TV: 'Y' }] }]
+    }, null, { balance: 'least-loaded' });
+    await executeCPUX(run);
+  } finally {
+    Object.assign(console, quiet);
+  }
+
+  // The idle IPTP DN2 reports no load, yet the busier CPUX container gets the step
+  assert.equal(received.cpux.length, 1);
+  assert.equal(received.iptp.length, 0);
+  assert.equal(run.pins.get(`${run.contextId}:1:DN2`).registrationId, 'REG_1');
+});
@@ -0,0 +1,29 @@
+// test/scenarios.test.js
+// Scenario expectations checked against simulation reports (run_scenarios.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkExpectations, scenarioProblems } = require('../run_scenarios');
+
+// The parts of a simulateRun report the expectations read
+function report(finalField) {
+  return { state: 'failed', termination: { reason: 'step_timed_out' }, finalField, events: [], skippedSteps: [], result: null };
+}
+
+const driverPoints = { driver_points: { name: 'driver_points', TV: 'Y', response: { currentPoints: 7 } } };
+
+test('absentFields fails when the pulse is in the field', () => {
+  const failures = checkExpectations({ absentFields: ['driver_points'] }, report(driverPoints));
+  assert.equal(failures.length, 1);
+  assert.match(failures[0], /driver_points should be absent but is Y/);
+  assert.deepEqual(checkExpectations({ absentFields: ['driver_points'] }, report({})), []);
+});
+
+test('a U field assertion is a wildcard, not an absence check', () => {
+  assert.deepEqual(checkExpectations({ field: [{ name: 'driver_points', TV: 'U' }] }, report(driverPoints)), []);
+});
+
+test('absentFields must list pulse names', () => {
+  const scenario = { cpuxId: 'make_license_cpux', expect: { absentFields: [{ name: 'driver_points', TV: 'U' }] } };
+  assert.deepEqual(scenarioProblems(scenario), ['expect.absentFields must be an array of pulse names']);
+});
@@ -0,0 +1,56 @@
+// test/settled_runs.test.js
+// Runs leave the live registry once settled; only the most recent settled runs stay in memory
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CPUX_SETTLED_RUNS_KEPT = '2';
+const { runs, settledRuns, findRunState, createRun, executeCPUX } = require('../cpux_engine');
+const { setJournalDir, readJournals, readJournal } = require('../utils/journal');
+
+const journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptp-settled-'));
+setJournalDir(journalDir);
+test.after(() => fs.rmSync(journalDir, { recursive: true, force: true }));
+
+// The engine narrates every step; keep the test output to the results
+const quiet = { log: console.log };
+test.before(() => {
+  console.log = () => {};
+});
+test.after(() => Object.assign(console, quiet));
+
+// start -> final: terminates in its first pass without calling a member
+const definition = {
+  cpuxId: 'settled_test',
+  version: 1,
+  startIntention: { name: 'start', signal: [{ name: 'go', TV: 'Y' }], target: 'O1' },
+  sequence: [{ stepId: 1, intention: 'finish', designTimeSignal: [{ name: 'go', TV: 'Y' }], target: 'CONSOLE', type: 'final' }]
+};
+
+async function settledRun(contextId) {
+  const run = createRun(definition, null, null, { contextId });
+  await executeCPUX(run);
+  await new Promise(resolve => setImmediate(resolve)); // settling runs after delivery, which has nothing to do
+  return run;
+}
+
+test('a settled run leaves the registry and is found among the settled runs', async () => {
+  const run = await settledRun('SETTLED_1');
+
+  assert.equal(run.state, 'completed');
+  assert.equal(runs.has('SETTLED_1'), false);
+  assert.equal(findRunState('SETTLED_1'), run);
+  assert.deepEqual(readJournals(), []);
+  assert.ok(readJournal('SETTLED_1').length > 0);
+});
+
+test('only the most recent settled runs are kept in memory', async () => {
+  await settledRun('SETTLED_2');
+  await settledRun('SETTLED_3');
+
+  assert.deepEqual(Array.from(settledRuns.keys()), ['SETTLED_2', 'SETTLED_3']);
+  assert.equal(findRunState('SETTLED_1'), null);
+});
@@ -0,0 +1,64 @@
+// test/transport.test.js
+// The in-memory transport answers like axios over HTTP
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createMemoryTransport } = require('../utils/transport');
+
+function memberApp() {
+  const app = express();
+  app.use(express.json());
+  app.post('/execute', (req, res) => res.json({ status: 'accepted', echoed: req.body }));
+  app.get('/chunked', (req, res) => {
+    res.writeHead(201, { 'Content-Type': 'text/plain' });
+    res.write('part one, ');
+    res.end('part two');
+  });
+  app.get('/events', (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {}\n\n');
+    req.app.locals.closed = new Promise(resolve => res.on('close', resolve));
+  });
+  app.get('/broken', () => {
+    throw new Error('boom');
+  });
+  return app;
+}
+
+function mounted() {
+  const transport = createMemoryTransport();
+  const app = memberApp();
+  transport.mount('http://localhost:4999', app);
+  return { transport, app };
+}
+
+test('JSON bodies travel as copies and come back parsed', async () => {
+  const { transport } = mounted();
+  const body = { signal: [{ name: 'a', TV: 'Y' }] };
+  const response = await transport.request({ method: 'post', url: 'http://localhost:4999/execute', data: body });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data.echoed, body);
+  assert.notEqual(response.data.echoed, body);
+});
+
+test('writeHead and write are captured along with end', async () => {
+  const { transport } = mounted();
+  const response = await transport.request({ method: 'get', url: 'http://localhost:4999/chunked' });
+  assert.equal(response.status, 201);
+  assert.equal(response.headers['content-type'], 'text/plain');
+  assert.equal(response.data, 'part one, part two');
+});
+
+test('an event stream is refused and the route sees the client leave', async () => {
+  const { transport, app } = mounted();
+  await assert.rejects(transport.request({ method: 'get', url: 'http://localhost:4999/events' }), error => error.code === 'ERR_STREAM_UNSUPPORTED');
+  await app.locals.closed;
+});
+
+test('error statuses reject with error.response, unknown origins like a refused connection', async () => {
+  const { transport } = mounted();
+  await assert.rejects(transport.request({ method: 'get', url: 'http://localhost:4999/nothing' }), error => error.response.status === 404);
+  await assert.rejects(transport.request({ method: 'get', url: 'http://localhost:4999/broken' }), error => error.response.status === 500);
+  await assert.rejects(transport.request({ method: 'get', url: 'http://localhost:5999/execute' }), error => error.code === 'ECONNREFUSED');
+});
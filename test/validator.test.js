@@ -0,0 +1,99 @@
+// test/validator.test.js
+// Definition checks run at catalog load and by validate_definitions.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDefinition, dispatchProblems } = require('../utils/validator');
+const { reloadDefinitions, listDefinitions, getDefinition } = require('../utils/definitions');
+
+// DN1 -> I -> O1 -> I -> DN2 -> I -> O1 -> final
+function licenseDefinition() {
+  return {
+    cpuxId: 'validator_test',
+    version: 1,
+    startIntention: { name: 'start', signal: [{ name: 'start_license_request', TV: 'Y' }], target: 'O1' },
+    sequence: [
+      { stepId: 1, intention: 'fetch_personal_detail', designTimeSignal: [{ name: 'start_license_request', TV: 'Y' }], target: 'DN1', type: 'dn', emits: [{ name: 'personal_detail', TV: 'Y' }] },
+      { stepId: 2, intention: 'reflect_personal_detail', designTimeSignal: [{ name: 'personal_detail', TV: 'Y' }], target: 'O1', type: 'object' },
+      { stepId: 3, intention: 'fetch_driver_points', designTimeSignal: [{ name: 'personal_detail', TV: 'Y' }], target: 'DN2', type: 'dn', emits: [{ name: 'driver_points', TV: 'Y' }] },
+      { stepId: 4, intention: 'reflect_driver_points', designTimeSignal: [{ name: 'driver_points', TV: 'Y' }], target: 'O1', type: 'object' },
+      { stepId: 5, intention: 'done', designTimeSignal: [{ name: 'driver_points', TV: 'Y' }], target: 'CONSOLE', type: 'final' }
+    ]
+  };
+}
+
+const codesOf = issues => issues.map(issue => issue.code);
+
+test('every definition in the catalog validates', () => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    reloadDefinitions();
+  } finally {
+    console.log = log;
+  }
+  const definitions = listDefinitions();
+  assert.ok(definitions.length > 0);
+  definitions.forEach(({ cpuxId, version }) => {
+    const result = validateDefinition(getDefinition(cpuxId, version), { resolveDefinition: getDefinition });
+    assert.deepEqual(result.errors, [], `${cpuxId} v${version}`);
+  });
+});
+
+test('a well-formed I-O-I-DN chain has no errors', () => {
+  const result = validateDefinition(licenseDefinition());
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.errors, []);
+});
+
+test('DN-I-DN without an Object in between is a pattern violation', () => {
+  const definition = licenseDefinition();
+  definition.sequence.splice(1, 1);
+  assert.ok(codesOf(validateDefinition(definition).errors).includes('PATTERN_VIOLATION'));
+});
+
+test('a step whose gate nothing can produce is unreachable', () => {
+  const definition = licenseDefinition();
+  definition.sequence[4].designTimeSignal = [{ name: 'fine_flag', TV: 'Y' }];
+  const errors = validateDefinition(definition).errors;
+  assert.ok(codesOf(errors).includes('UNREACHABLE_STEP'));
+  assert.match(errors.find(error => error.code === 'UNREACHABLE_STEP').message, /fine_flag/);
+});
+
+test('a legacy definition gets warnings instead of errors for DN-I-DN and unreachable steps', () => {
+  const definition = { ...licenseDefinition(), legacy: true };
+  definition.sequence.splice(1, 1);
+  definition.sequence[3].designTimeSignal = [{ name: 'fine_flag', TV: 'Y' }];
+
+  const result = validateDefinition(definition);
+  assert.equal(result.valid, true);
+  ['PATTERN_VIOLATION', 'UNREACHABLE_STEP'].forEach(code => assert.ok(codesOf(result.warnings).includes(code), code));
+  assert.ok(codesOf(validateDefinition({ ...definition, legacy: 'yes' }).errors).includes('INVALID_POLICY'));
+});
+
+test('duplicate step IDs, unknown targets, illegal TVs and bad predicates are errors', () => {
+  const definition = licenseDefinition();
+  definition.sequence[1].stepId = 1;
+  definition.sequence[2].target = 'DN9';
+  definition.sequence[3].designTimeSignal = [{ name: 'driver_points', TV: 'maybe' }];
+  definition.sequence[4].designTimeSignal = [{ name: 'driver_points', TV: 'Y', where: { path: 'currentPoints', op: 'about', value: 6 } }];
+
+  const codes = codesOf(validateDefinition(definition).errors);
+  ['DUPLICATE_STEP_ID', 'UNKNOWN_TARGET', 'INVALID_TV', 'INVALID_PREDICATE'].forEach(code => assert.ok(codes.includes(code), code));
+});
+
+test('branches need known steps in at most one alternative', () => {
+  const definition = licenseDefinition();
+  definition.branches = [{ branchId: 'points', alternatives: [{ label: 'a', steps: [3] }, { label: 'b', steps: [3, 42] }] }];
+  const messages = validateDefinition(definition).errors.filter(error => error.code === 'INVALID_BRANCH').map(error => error.message);
+  assert.ok(messages.some(message => /step 42, which is not in the sequence/.test(message)));
+  assert.ok(messages.some(message => /step 3, which already belongs/.test(message)));
+});
+
+test('dispatch policy checks mode, concurrency and balance', () => {
+  assert.deepEqual(dispatchProblems({ mode: 'parallel', concurrency: 4, balance: 'round-robin' }), []);
+  assert.equal(dispatchProblems({ mode: 'sideways' }).length, 1);
+  assert.equal(dispatchProblems({ concurrency: 0 }).length, 1);
+  assert.equal(dispatchProblems({ balance: 'random' }).length, 1);
+  assert.ok(codesOf(validateDefinition({ ...licenseDefinition(), dispatch: { mode: 'sideways' } }).errors).includes('INVALID_DISPATCH'));
+});
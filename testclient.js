@@ -5,6 +5,7 @@
  */
 
 const axios = require('axios');
+const { claimIdentity, loadIdentity, signedHeaders } = require('./utils/identity');
 
 const OBJECT_SERVER_URL = 'http://localhost:3000';
 const DN2_SERVER_URL = 'http://localhost:3001';
@@ -33,9 +34,9 @@ async function sendIPTPMessage(intention, source, target, signal) {
             headers: {
                 'Content-Type': 'application/json',
                 'X-IPTP-Intention': intention,
-                'X-IPTP-Source': source,
                 'X-IPTP-Target': target,
-                'X-IPTP-Timestamp': new Date().toISOString()
+                // Signed as the source node with its key from the local registry
+                ...signedHeaders(loadIdentity(source), { intention, target, signal })
             },
             data: signal
         });
@@ -256,6 +257,51 @@ async function testHeaderValidation() {
     }
 }
 
+/**
+ * Test signature verification: forged sources and replayed messages are rejected
+ */
+async function testSignatureVerification() {
+    console.log('\n' + '='.repeat(80));
+    console.log('🧪 TESTING IPTP SIGNATURE VERIFICATION');
+    console.log('='.repeat(80));
+
+    // An intention O1 has no mapping for, so accepted probes never trigger a login
+    const intention = 'Signature probe';
+    const signal = [{ name: "probe", TV: "Y", response: "mallory@example.com" }];
+    const expectRejected = async (label, headers) => {
+        try {
+            await axios.post(`${OBJECT_SERVER_URL}/iptp`, signal, { headers });
+            console.log(`❌ ${label} was accepted`);
+        } catch (error) {
+            if (error.response?.status === 401) {
+                console.log(`✅ ${label} correctly rejected`);
+                console.log(`   Reason: ${error.response.data.reason}`);
+            } else {
+                throw error;
+            }
+        }
+    };
+
+    const iptpHeaders = {
+        'Content-Type': 'application/json',
+        'X-IPTP-Intention': intention,
+        'X-IPTP-Target': 'O1'
+    };
+
+    console.log('\n--- Testing unsigned message claiming to be DN1 ---');
+    await expectRejected('Unsigned message', { ...iptpHeaders, 'X-IPTP-Source': 'DN1' });
+
+    console.log('\n--- Testing DN1 key used to claim source DN2 ---');
+    const dn1Headers = signedHeaders(loadIdentity('DN1'), { intention, target: 'O1', signal });
+    await expectRejected('Forged source', { ...iptpHeaders, ...dn1Headers, 'X-IPTP-Source': 'DN2' });
+
+    console.log('\n--- Testing replay of a signed message ---');
+    const replayed = { ...iptpHeaders, ...signedHeaders(loadIdentity('DN1'), { intention, target: 'O1', signal }) };
+    await axios.post(`${OBJECT_SERVER_URL}/iptp`, signal, { headers: replayed });
+    console.log('✅ Original signed message accepted');
+    await expectRejected('Replayed message', replayed);
+}
+
 /**
  * Demonstrate declarative intention mapping
  */
@@ -328,6 +374,9 @@ async function main() {
     console.log('🚀 IPTP PROTOCOL COMPREHENSIVE TEST');
     console.log('Testing proper protocol implementation with header/payload separation\n');
 
+    // The test client is the login form node DN1 - the only node whose key it holds
+    claimIdentity('DN1');
+
     // Check connectivity
     const connected = await checkConnectivity();
     if (!connected) {
@@ -345,7 +394,10 @@ async function main() {
         // Test 3: Header validation
         await testHeaderValidation();
         
-        // Test 4: Demonstrate declarative mapping
+        // Test 4: Signature verification
+        await testSignatureVerification();
+        
+        // Test 5: Demonstrate declarative mapping
         await demonstrateDeclarativeMapping();
 
         console.log('\n🎉 IPTP PROTOCOL TESTS COMPLETED!');
@@ -356,6 +408,7 @@ async function main() {
         console.log('  ✅ Design Nodes process intentions semantically');
         console.log('  ✅ Field-based triggering maintains semantic consistency');
         console.log('  ✅ Protocol validation enforces proper IPTP structure');
+        console.log('  ✅ Only signed, fresh messages from registered nodes are absorbed');
 
     } catch (error) {
         console.error('❌ IPTP protocol test suite failed:', error.message);
@@ -373,5 +426,6 @@ module.exports = {
     checkDN2NodeInfo,
     testIPTPProtocol,
     testInvalidIntention,
-    testHeaderValidation
+    testHeaderValidation,
+    testSignatureVerification
 };
\ No newline at end of file
@@ -0,0 +1,140 @@
+// utils/definitions.js
+// Versioned CPUX definition catalog loaded from JSON files
+// Each file in definitions/ holds one { cpuxId, version, startIntention, sequence } document
+
+const fs = require('fs');
+const path = require('path');
+const { validateDefinition } = require('./validator');
+
+const DEFINITIONS_DIR = path.join(__dirname, '..', 'definitions');
+
+// cpuxId -> Map(version -> { definition, file, loadedAt, validation })
+let catalog = new Map();
+let loadedFrom = DEFINITIONS_DIR;
+
+// Read one definition file and check the fields the catalog depends on
+function readDefinitionFile(file) {
+  const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!definition.cpuxId || typeof definition.cpuxId !== 'string') {
+    throw new Error('missing cpuxId');
+  }
+  if (!Number.isInteger(definition.version) || definition.version < 1) {
+    throw new Error('version must be a positive integer');
+  }
+  if (!definition.startIntention || !Array.isArray(definition.sequence)) {
+    throw new Error('startIntention and sequence are required');
+  }
+
+  return definition;
+}
+
+// (Re)build the catalog from a directory; bad files are skipped and reported
+function reloadDefinitions(dir = loadedFrom) {
+  const nextCatalog = new Map();
+  const errors = [];
+  const loadedAt = new Date().toISOString();
+
+  const files = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort();
+
+  for (const name of files) {
+    const file = path.join(dir, name);
+
+    try {
+      const definition = readDefinitionFile(file);
+      const versions = nextCatalog.get(definition.cpuxId) || new Map();
+
+      if (versions.has(definition.version)) {
+        throw new Error(`duplicate version ${definition.version} of ${definition.cpuxId} (already in ${path.basename(versions.get(definition.version).file)})`);
+      }
+
+      versions.set(definition.version, { definition, file, loadedAt, validation: null });
+      nextCatalog.set(definition.cpuxId, versions);
+    } catch (error) {
+      errors.push({ file: name, error: error.message });
+    }
+  }
+
+  // Validate once everything is loaded so nested 'cpux' steps can be resolved in any file order
+  // Invalid definitions stay in the catalog (flagged) so their report can be inspected
+  const resolveDefinition = (cpuxId, version) => lookup(nextCatalog, cpuxId, version);
+  for (const versions of nextCatalog.values()) {
+    for (const entry of versions.values()) {
+      entry.validation = validateDefinition(entry.definition, { resolveDefinition });
+      entry.validation.errors.forEach(issue => console.error(`Definition ${path.basename(entry.file)} ${issue.code}: ${issue.message}`));
+    }
+  }
+
+  catalog = nextCatalog;
+  loadedFrom = dir;
+
+  errors.forEach(({ file, error }) => console.error(`Definition ${file} skipped: ${error}`));
+
+  return {
+    directory: dir,
+    loadedAt,
+    definitions: listDefinitions(),
+    errors
+  };
+}
+
+function lookup(fromCatalog, cpuxId, version) {
+  const versions = fromCatalog.get(cpuxId);
+  if (!versions) {
+    return null;
+  }
+
+  const wanted = version === undefined || version === null
+    ? Math.max(...versions.keys())
+    : Number(version);
+
+  const entry = versions.get(wanted);
+  return entry ? entry.definition : null;
+}
+
+// Look up a definition; without a version the highest one wins
+function getDefinition(cpuxId, version) {
+  return lookup(catalog, cpuxId, version);
+}
+
+// Validation report recorded for a catalog entry when it was loaded
+function getValidation(cpuxId, version) {
+  const definition = getDefinition(cpuxId, version);
+  if (!definition) {
+    return null;
+  }
+  return catalog.get(cpuxId).get(definition.version).validation;
+}
+
+function listDefinitions() {
+  return Array.from(catalog.entries()).map(([cpuxId, versions]) => {
+    const numbers = Array.from(versions.keys()).sort((a, b) => a - b);
+    return {
+      cpuxId,
+      latest: numbers[numbers.length - 1],
+      versions: numbers.map(version => {
+        const { definition, file, loadedAt, validation } = versions.get(version);
+        return {
+          version,
+          description: definition.description || null,
+          steps: definition.sequence.length,
+          valid: validation.valid,
+          errors: validation.errors.length,
+          warnings: validation.warnings.length,
+          file: path.basename(file),
+          loadedAt
+        };
+      })
+    };
+  });
+}
+
+module.exports = {
+  DEFINITIONS_DIR,
+  reloadDefinitions,
+  getDefinition,
+  getValidation,
+  listDefinitions
+};
@@ -0,0 +1,104 @@
+// utils/delivery.js
+// Deliver a CPUX result to the starter's callback URL with retries and exponential backoff
+// Receivers should dedupe on contextId - a retry after a lost 2xx delivers the same result twice
+
+const transport = require('./transport');
+
+const DEFAULT_DELIVERY_POLICY = {
+  maxAttempts: 5,
+  backoffMs: 1000,
+  backoffFactor: 2,
+  maxBackoffMs: 30000,
+  timeoutMs: 5000
+};
+
+// Bounds on what a starter may ask for in its delivery policy; any other field is refused
+const DELIVERY_LIMITS = {
+  maxAttempts: { min: 1, max: 20, integer: true },
+  backoffMs: { min: 0, max: 60000 },
+  backoffFactor: { min: 1, max: 10 },
+  maxBackoffMs: { min: 0, max: 600000 },
+  timeoutMs: { min: 1, max: 60000 }
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Only absolute http(s) URLs are accepted as callbacks
+function isCallbackUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Problems with a starter's { maxAttempts, backoffMs, backoffFactor, maxBackoffMs, timeoutMs } delivery policy
+function deliveryProblems(delivery) {
+  if (!delivery || typeof delivery !== 'object' || Array.isArray(delivery)) {
+    return ['delivery must be an object with maxAttempts, backoffMs, backoffFactor, maxBackoffMs and/or timeoutMs'];
+  }
+  return Object.keys(delivery).flatMap(field => {
+    const limit = DELIVERY_LIMITS[field];
+    if (!limit) {
+      return [`delivery.${field} is not a delivery setting (allowed: ${Object.keys(DELIVERY_LIMITS).join(', ')})`];
+    }
+    const value = delivery[field];
+    const valid = typeof value === 'number' && Number.isFinite(value) && (!limit.integer || Number.isInteger(value)) &&
+      value >= limit.min && value <= limit.max;
+    return valid ? [] : [`delivery.${field} must be ${limit.integer ? 'an integer' : 'a number'} from ${limit.min} to ${limit.max}`];
+  });
+}
+
+// The settings of a delivery policy, without anything else the starter sent
+function deliveryPolicyOf(delivery) {
+  return Object.fromEntries(Object.entries(delivery || {}).filter(([field]) => DELIVERY_LIMITS[field]));
+}
+
+// POST body to url until it is accepted (2xx) or attempts run out.
+// onAttempt({ attempt, status: 'delivered' | 'retrying' | 'failed', httpStatus, error, nextDelayMs })
+// is called after every attempt; firstAttempt lets a recovered delivery continue its count.
+async function deliverWithRetry(url, body, policy = {}, onAttempt = () => {}) {
+  const { maxAttempts, backoffMs, backoffFactor, maxBackoffMs, timeoutMs } = { ...DEFAULT_DELIVERY_POLICY, ...policy };
+  let attempt = policy.firstAttempt || 1;
+
+  for (; attempt <= maxAttempts; attempt++) {
+    let httpStatus = null;
+    let error = null;
+
+    try {
+      const response = await transport.post(url, body, { timeout: timeoutMs });
+      httpStatus = response.status;
+    } catch (requestError) {
+      httpStatus = requestError.response ? requestError.response.status : null;
+      error = requestError.message;
+    }
+
+    if (!error) {
+      onAttempt({ attempt, status: 'delivered', httpStatus });
+      return { status: 'delivered', attempts: attempt, httpStatus };
+    }
+
+    if (attempt >= maxAttempts) {
+      onAttempt({ attempt, status: 'failed', httpStatus, error });
+      return { status: 'failed', attempts: attempt, httpStatus, error };
+    }
+
+    const nextDelayMs = Math.min(backoffMs * Math.pow(backoffFactor, attempt - 1), maxBackoffMs);
+    onAttempt({ attempt, status: 'retrying', httpStatus, error, nextDelayMs });
+    await sleep(nextDelayMs);
+  }
+
+  // firstAttempt was already past maxAttempts
+  return { status: 'failed', attempts: attempt - 1, httpStatus: null, error: 'no attempts left' };
+}
+
+module.exports = {
+  DEFAULT_DELIVERY_POLICY,
+  DELIVERY_LIMITS,
+  isCallbackUrl,
+  deliveryProblems,
+  deliveryPolicyOf,
+  deliverWithRetry
+};
@@ -0,0 +1,201 @@
+// utils/diagram.js
+// Mermaid and Graphviz DOT renderings of a CPUX definition's I-O-I-DN chain
+//
+// Each step instance is a node labelled with its member (Object, DN, nested CPUX or final target);
+// an edge into a step is the intention it receives, labelled with the gate pulses that fire it.
+// The edge comes from the step(s) nearest before it that put those pulses into the field -
+// the start intention for the first steps - so DN1 -> I1 -> O1 -> I2 -> DN2 reads left to right.
+//
+// A run overlay ({ stepId: { status, missingPulses? } }) colours nodes by status:
+// executed, busy, waiting (on pulses), skipped (branch not taken) or timed_out.
+
+const { gateOf, branchOf, memberKind, emissionsOf } = require('./validator');
+const { describeGatePulse } = require('./field');
+
+const DIAGRAM_FORMATS = ['mermaid', 'dot'];
+const STEP_STATUSES = ['executed', 'busy', 'waiting', 'skipped', 'timed_out'];
+
+const STATUS_COLOURS = {
+  executed: { fill: '#c8e6c9', stroke: '#2e7d32' },
+  busy: { fill: '#fff3c4', stroke: '#f9a825' },
+  waiting: { fill: '#eceff1', stroke: '#78909c' },
+  skipped: { fill: '#f5f5f5', stroke: '#bdbdbd' },
+  timed_out: { fill: '#ffcdd2', stroke: '#c62828' }
+};
+
+const START_NODE = 'START';
+
+function nodeIdOf(step) {
+  return `S${step.stepId}`;
+}
+
+// Does step put a pulse into the field that can satisfy the gate pulse?
+// U and negated gate pulses match any TV of the name
+function produces(step, gatePulse) {
+  return emissionsOf(step).some(pulse => pulse.name === gatePulse.name &&
+    (gatePulse.TV === 'U' || gatePulse.not === true || pulse.TV === gatePulse.TV));
+}
+
+// Steps feeding gatePulse into sequence[index]: walking back from it, every producer up to and
+// including the first one outside a branch (alternatives of a branch all feed the step after it).
+// With no earlier producer the pulse comes from the start intention or loops back from a later step.
+function feedersOf(cpuxDef, index, gatePulse) {
+  const sequence = cpuxDef.sequence;
+  const feeders = [];
+
+  for (let i = index - 1; i >= 0; i--) {
+    if (!produces(sequence[i], gatePulse)) {
+      continue;
+    }
+    feeders.push(nodeIdOf(sequence[i]));
+    if (!branchOf(cpuxDef, sequence[i])) {
+      return feeders;
+    }
+  }
+  if (feeders.length > 0) {
+    return feeders;
+  }
+
+  const startSignal = (cpuxDef.startIntention && cpuxDef.startIntention.signal) || [];
+  if (startSignal.some(pulse => pulse.name === gatePulse.name)) {
+    return [START_NODE];
+  }
+  return sequence.slice(index + 1).filter(later => produces(later, gatePulse)).map(nodeIdOf);
+}
+
+// Graph model shared by both formats: { title, nodes: [{ id, kind, label, status? }], edges: [{ from, to, intention, pulses }] }
+function graphOf(cpuxDef, overlay = null) {
+  const startIntention = cpuxDef.startIntention || {};
+  const nodes = [{ id: START_NODE, kind: 'start', label: startIntention.name || 'start' }];
+  const edges = [];
+
+  cpuxDef.sequence.forEach((step, index) => {
+    const kind = memberKind(step);
+    const target = kind === 'cpux' ? `CPUX ${step.target}` : step.target;
+    const stepOverlay = overlay && overlay[step.stepId];
+    const waitingOn = stepOverlay && stepOverlay.status === 'waiting' && stepOverlay.missingPulses && stepOverlay.missingPulses.length > 0
+      ? `waiting on ${stepOverlay.missingPulses.map(describeGatePulse).join(', ')}`
+      : null;
+
+    nodes.push({
+      id: nodeIdOf(step),
+      kind,
+      label: [`${step.stepId}: ${target}`, ...(waitingOn ? [waitingOn] : [])],
+      ...(stepOverlay ? { status: stepOverlay.status } : {})
+    });
+
+    // One edge per feeding node, carrying the gate pulses it supplies
+    const pulsesByFeeder = new Map();
+    gateOf(step).forEach(gatePulse => {
+      feedersOf(cpuxDef, index, gatePulse).forEach(from => {
+        pulsesByFeeder.set(from, (pulsesByFeeder.get(from) || []).concat(describeGatePulse(gatePulse)));
+      });
+    });
+    if (pulsesByFeeder.size === 0) {
+      pulsesByFeeder.set(START_NODE, gateOf(step).map(describeGatePulse));
+    }
+
+    for (const [from, pulses] of pulsesByFeeder) {
+      edges.push({ from, to: nodeIdOf(step), intention: step.intention, pulses });
+    }
+  });
+
+  return { title: `${cpuxDef.cpuxId} v${cpuxDef.version}`, nodes, edges };
+}
+
+function mermaidText(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+}
+
+function mermaidNode(node) {
+  const label = `"${(Array.isArray(node.label) ? node.label : [node.label]).map(mermaidText).join('<br/>')}"`;
+  switch (node.kind) {
+    case 'start':
+      return `${node.id}((${label}))`;
+    case 'dn':
+      return `${node.id}{{${label}}}`;
+    case 'cpux':
+      return `${node.id}[[${label}]]`;
+    case 'final':
+      return `${node.id}([${label}])`;
+    default:
+      return `${node.id}[${label}]`;
+  }
+}
+
+function toMermaid(graph) {
+  const lines = ['flowchart LR', `  %% ${graph.title}`];
+
+  graph.nodes.forEach(node => lines.push(`  ${mermaidNode(node)}`));
+  graph.edges.forEach(edge => {
+    const label = [edge.intention, ...edge.pulses].map(mermaidText).join('<br/>');
+    lines.push(`  ${edge.from} -->|"${label}"| ${edge.to}`);
+  });
+
+  const statuses = STEP_STATUSES.filter(status => graph.nodes.some(node => node.status === status));
+  statuses.forEach(status => {
+    const { fill, stroke } = STATUS_COLOURS[status];
+    lines.push(`  classDef ${status} fill:${fill},stroke:${stroke}${status === 'skipped' ? ',stroke-dasharray:4 3' : ''}`);
+    lines.push(`  class ${graph.nodes.filter(node => node.status === status).map(node => node.id).join(',')} ${status}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function dotText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+const DOT_SHAPES = {
+  start: 'circle',
+  object: 'box',
+  dn: 'hexagon',
+  cpux: 'component',
+  final: 'doubleoctagon'
+};
+
+function dotNode(node) {
+  const attributes = [
+    `label="${(Array.isArray(node.label) ? node.label : [node.label]).map(dotText).join('\\n')}"`,
+    `shape=${DOT_SHAPES[node.kind] || 'box'}`
+  ];
+  if (node.status) {
+    const { fill, stroke } = STATUS_COLOURS[node.status];
+    attributes.push('style="filled' + (node.status === 'skipped' ? ',dashed' : '') + '"', `fillcolor="${fill}"`, `color="${stroke}"`);
+  }
+  return `${node.id} [${attributes.join(', ')}];`;
+}
+
+function toDot(graph) {
+  const lines = [
+    `digraph "${dotText(graph.title)}" {`,
+    '  rankdir=LR;',
+    '  node [fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+
+  graph.nodes.forEach(node => lines.push(`  ${dotNode(node)}`));
+  graph.edges.forEach(edge => {
+    const label = [edge.intention, ...edge.pulses].map(dotText).join('\\n');
+    lines.push(`  ${edge.from} -> ${edge.to} [label="${label}"];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// Render a definition (optionally overlaid with a run's step statuses) as 'mermaid' or 'dot'
+function renderDiagram(cpuxDef, { format = 'mermaid', overlay = null } = {}) {
+  if (!DIAGRAM_FORMATS.includes(format)) {
+    throw new Error(`Unknown diagram format '${format}' - expected one of ${DIAGRAM_FORMATS.join(', ')}`);
+  }
+  const graph = graphOf(cpuxDef, overlay);
+  return format === 'dot' ? toDot(graph) : toMermaid(graph);
+}
+
+module.exports = {
+  DIAGRAM_FORMATS,
+  STEP_STATUSES,
+  graphOf,
+  renderDiagram
+};
@@ -1,18 +1,93 @@
 // utils/field.js
+// Shared field operations: three-valued pulse TVs, gate matching and absorption
+//
+// TV semantics:
+//   Y - the pulse holds, N - the pulse explicitly does not hold, U - undetermined
+//   A pulse missing from the field counts as U
+//   A gate pulse with TV U is a wildcard - it matches Y, N, U or an absent pulse
+//   A gate pulse with `not: true` matches when the pulse does NOT have that TV,
+//   e.g. { name: 'authentication failed', TV: 'Y', not: true } matches N, U or absent
+//   A gate pulse with `where` also requires its declarative predicate to hold on the pulse response,
+//   e.g. { name: 'driver_points', TV: 'Y', where: { path: 'currentPoints', op: '>=', value: 6 } }
+//   (see utils/predicate.js); `not` negates the TV and predicate together
 
+const { evaluatePredicate, describePredicate } = require('./predicate');
+
+const TRUTH_VALUES = ['Y', 'N', 'U'];
+
+function isTruthValue(value) {
+  return TRUTH_VALUES.includes(value);
+}
+
+// TV of a field pulse - absent pulses are undetermined
+function pulseTV(fieldPulse) {
+  return fieldPulse && fieldPulse.TV !== undefined ? fieldPulse.TV : 'U';
+}
+
+// Does one field pulse (possibly undefined) satisfy one required gate pulse?
+function pulseMatches(fieldPulse, requiredPulse) {
+  const matched = (requiredPulse.TV === 'U' || pulseTV(fieldPulse) === requiredPulse.TV) &&
+    (requiredPulse.where === undefined || evaluatePredicate(requiredPulse.where, fieldPulse ? fieldPulse.response : undefined));
+  return requiredPulse.not ? !matched : matched;
+}
+
+// Gate pulse for logs and status, e.g. "not authentication failed:Y" or "driver_points:Y where currentPoints >= 6"
+function describeGatePulse(requiredPulse) {
+  const where = requiredPulse.where === undefined ? '' : ` where ${describePredicate(requiredPulse.where)}`;
+  return `${requiredPulse.not ? 'not ' : ''}${requiredPulse.name}:${requiredPulse.TV}${where}`;
+}
+
+// Every required pulse must be satisfied by the field (name -> pulse)
+function fieldMatch(field, requiredSignal) {
+  return requiredSignal.every(requiredPulse => pulseMatches(field[requiredPulse.name], requiredPulse));
+}
+
+// Reasons a signal (array of pulses) cannot be absorbed; [] when it is well-formed
+function signalProblems(signal) {
+  if (!Array.isArray(signal)) {
+    return ['signal must be an array of pulses'];
+  }
+
+  const problems = [];
+  signal.forEach((pulse, index) => {
+    if (!pulse || typeof pulse.name !== 'string' || !pulse.name) {
+      problems.push(`pulse ${index} has no name`);
+    } else if (!isTruthValue(pulse.TV)) {
+      problems.push(`pulse '${pulse.name}' has illegal TV ${JSON.stringify(pulse.TV)} (expected one of ${TRUTH_VALUES.join(', ')})`);
+    }
+  });
+  return problems;
+}
+
+// Absorb a signal into a copy of the field; consume = false keeps pulses already present.
+// Throws on an illegal TV so a bad emission never reaches the field.
 function fieldAbsorb(signal, field, consume = true) {
-    const updated = { ...field };
-    for (const pulse of signal) {
-      if (consume || !updated[pulse.name]) {
-        updated[pulse.name] = {
-          name: pulse.name,
-          TV: pulse.TV,
-          response: pulse.response || null
-        };
-      }
+  const problems = signalProblems(signal);
+  if (problems.length > 0) {
+    throw new Error(`Cannot absorb signal: ${problems.join('; ')}`);
+  }
+
+  const updated = { ...field };
+  for (const pulse of signal) {
+    if (consume || !updated[pulse.name]) {
+      updated[pulse.name] = {
+        name: pulse.name,
+        TV: pulse.TV,
+        response: pulse.response || null,
+        timestamp: new Date().toISOString()
+      };
     }
-    return updated;
   }
-  
-  module.exports = { fieldAbsorb };
-  
\ No newline at end of file
+  return updated;
+}
+
+module.exports = {
+  TRUTH_VALUES,
+  isTruthValue,
+  pulseTV,
+  pulseMatches,
+  describeGatePulse,
+  fieldMatch,
+  signalProblems,
+  fieldAbsorb
+};
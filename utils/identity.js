@@ -0,0 +1,223 @@
+// utils/identity.js
+// Signed node identities for IPTP and CPUX messages
+//
+// Every node (CPUX, O1, DN1-DN4, the DN2 login server) holds a locally generated Ed25519 key.
+// The private key stays in <keyDir>/<keyId>.key.pem; the public half is published as
+// <keyDir>/<keyId>.pub.json ({ keyId, nodeId, publicKey }) and that directory is the key registry.
+//
+// A signed message carries these headers:
+//   X-IPTP-Source: "DN1"          claimed sender node
+//   X-IPTP-Key-Id: "DN1"          registry entry to verify with (its nodeId must be the source)
+//   X-IPTP-Timestamp: ISO time    must be within the replay window of the receiver's clock
+//   X-IPTP-Signature: base64      Ed25519 over [intention, source, target, timestamp, context, signal,
+//                                 dnInstanceId, objectInstanceId, correlationId]
+// A signature is accepted once; a repeat inside the window is a replay, anything older is stale.
+//
+// A process signs only as the nodes it claims at startup (claimIdentity); loadIdentity refuses any other node,
+// so no code path can mint or use another node's key by naming it.
+//
+// IPTP_AUTH=enforce (default) rejects unsigned or bad messages, warn only logs them, off skips checks.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const AUTH_MODES = ['enforce', 'warn', 'off'];
+const DEFAULT_REPLAY_WINDOW_MS = 30000;
+
+let keyDir = process.env.IPTP_KEY_DIR || path.join(__dirname, '..', 'keys');
+const authMode = AUTH_MODES.includes(process.env.IPTP_AUTH) ? process.env.IPTP_AUTH : 'enforce';
+const replayWindowMs = Number(process.env.IPTP_REPLAY_WINDOW_MS) || DEFAULT_REPLAY_WINDOW_MS;
+
+const identities = new Map(); // keyId -> { keyId, nodeId, privateKey } - the nodes this process claimed
+const registry = new Map(); // keyId -> { keyId, nodeId, publicKey }
+const seenSignatures = new Map(); // signature -> expiry (ms)
+
+function setKeyDir(dir) {
+  keyDir = dir;
+  identities.clear();
+  registry.clear();
+}
+
+function privateKeyFile(keyId) {
+  return path.join(keyDir, `${keyId}.key.pem`);
+}
+
+function publicKeyFile(keyId) {
+  return path.join(keyDir, `${keyId}.pub.json`);
+}
+
+// Declare that this process is nodeId: load its key, generating and publishing it on first use
+function claimIdentity(nodeId, keyId = nodeId) {
+  if (identities.has(keyId)) {
+    const claimed = identities.get(keyId);
+    if (claimed.nodeId !== nodeId) {
+      throw new Error(`Key ${keyId} is claimed by node ${claimed.nodeId}, not ${nodeId}`);
+    }
+    return claimed;
+  }
+
+  fs.mkdirSync(keyDir, { recursive: true });
+
+  let privateKey;
+  if (fs.existsSync(privateKeyFile(keyId))) {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(privateKeyFile(keyId), 'utf8'));
+  } else {
+    const pair = crypto.generateKeyPairSync('ed25519');
+    privateKey = pair.privateKey;
+    fs.writeFileSync(privateKeyFile(keyId), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`🔑 Generated key ${keyId} for node ${nodeId}`);
+  }
+
+  // Republish the public half so the registry always matches the private key in use
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  fs.writeFileSync(publicKeyFile(keyId), JSON.stringify({ keyId, nodeId, publicKey }, null, 2));
+  registry.delete(keyId);
+
+  const identity = { keyId, nodeId, privateKey };
+  identities.set(keyId, identity);
+  return identity;
+}
+
+// The identity of a node this process claimed; signing as any other node is refused
+function loadIdentity(nodeId, keyId = nodeId) {
+  const identity = identities.get(keyId);
+  if (!identity || identity.nodeId !== nodeId) {
+    throw new Error(`Node ${nodeId} (key ${keyId}) is not claimed by this process - it cannot sign as that node`);
+  }
+  return identity;
+}
+
+// Registry entry for a key id; re-read from disk so nodes started later are found
+function lookupKey(keyId) {
+  if (registry.has(keyId)) {
+    return registry.get(keyId);
+  }
+  if (typeof keyId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(keyId) || !fs.existsSync(publicKeyFile(keyId))) {
+    return null;
+  }
+
+  try {
+    const { nodeId, publicKey } = JSON.parse(fs.readFileSync(publicKeyFile(keyId), 'utf8'));
+    const entry = { keyId, nodeId, publicKey: crypto.createPublicKey(publicKey) };
+    registry.set(keyId, entry);
+    return entry;
+  } catch (error) {
+    console.error(`Key registry: unreadable entry ${keyId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Bytes covered by the signature; context binds CPUX messages to one run (null for plain IPTP),
+// and the instance and correlation IDs bind them to the DN or Object instance they report for
+function signedBytes({ intention, source, target, timestamp, context, signal, dnInstanceId, objectInstanceId, correlationId }) {
+  return Buffer.from(JSON.stringify([intention, source, target, timestamp, context, signal, dnInstanceId, objectInstanceId, correlationId]
+    .map(value => (value === undefined ? null : value))));
+}
+
+// Headers for a message sent by identity
+function signedHeaders(identity, { intention, target, context = null, signal, dnInstanceId = null, objectInstanceId = null, correlationId = null }) {
+  const timestamp = new Date().toISOString();
+  const signature = crypto.sign(null, signedBytes({
+    intention, source: identity.nodeId, target, timestamp, context, signal, dnInstanceId, objectInstanceId, correlationId
+  }), identity.privateKey);
+
+  return {
+    'X-IPTP-Source': identity.nodeId,
+    'X-IPTP-Key-Id': identity.keyId,
+    'X-IPTP-Timestamp': timestamp,
+    'X-IPTP-Signature': signature.toString('base64')
+  };
+}
+
+function forgetExpiredSignatures(now) {
+  for (const [signature, expiry] of seenSignatures) {
+    if (expiry <= now) {
+      seenSignatures.delete(signature);
+    }
+  }
+}
+
+// Check a received message against the key registry; expected.source, when given, is the
+// sender named in the message body. Returns null when it is authentic and fresh, otherwise the reason to reject it.
+function verificationProblem(headers, { intention, target, context = null, signal, dnInstanceId = null, objectInstanceId = null, correlationId = null, source: claimedSource }) {
+  const source = headers['x-iptp-source'];
+  const keyId = headers['x-iptp-key-id'];
+  const timestamp = headers['x-iptp-timestamp'];
+  const signature = headers['x-iptp-signature'];
+
+  if (!source || !keyId || !timestamp || !signature) {
+    return 'missing X-IPTP-Source, X-IPTP-Key-Id, X-IPTP-Timestamp or X-IPTP-Signature';
+  }
+
+  if (claimedSource !== undefined && claimedSource !== source) {
+    return `message claims source ${claimedSource} but is signed by ${source}`;
+  }
+
+  const entry = lookupKey(keyId);
+  if (!entry) {
+    return `unknown key ${keyId}`;
+  }
+  if (entry.nodeId !== source) {
+    return `key ${keyId} belongs to ${entry.nodeId}, not ${source}`;
+  }
+
+  const now = Date.now();
+  const sentAt = Date.parse(timestamp);
+  if (Number.isNaN(sentAt) || Math.abs(now - sentAt) > replayWindowMs) {
+    return `timestamp ${timestamp} is outside the ${replayWindowMs}ms replay window`;
+  }
+
+  let valid = false;
+  try {
+    const bytes = signedBytes({ intention, source, target, timestamp, context, signal, dnInstanceId, objectInstanceId, correlationId });
+    valid = crypto.verify(null, bytes, entry.publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    return `bad signature from ${source}`;
+  }
+
+  forgetExpiredSignatures(now);
+  if (seenSignatures.has(signature)) {
+    return `replayed message from ${source}`;
+  }
+  seenSignatures.set(signature, sentAt + replayWindowMs);
+
+  return null;
+}
+
+// Apply the auth mode: true when the request may proceed.
+// Rejections answer 401 with the reason; in warn mode the reason is only logged.
+function authenticate(req, res, expected, log = console.log) {
+  if (authMode === 'off') {
+    return true;
+  }
+
+  const problem = verificationProblem(req.headers, expected);
+  if (!problem) {
+    return true;
+  }
+
+  if (authMode === 'warn') {
+    log(`⚠️ Unauthenticated message accepted (IPTP_AUTH=warn): ${problem}`);
+    return true;
+  }
+
+  log(`🚫 Rejected message: ${problem}`);
+  res.status(401).json({ error: 'Unauthenticated message', reason: problem });
+  return false;
+}
+
+module.exports = {
+  AUTH_MODES,
+  DEFAULT_REPLAY_WINDOW_MS,
+  setKeyDir,
+  claimIdentity,
+  loadIdentity,
+  lookupKey,
+  signedHeaders,
+  verificationProblem,
+  authenticate
+};
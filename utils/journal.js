@@ -0,0 +1,123 @@
+// utils/journal.js
+// Append-only on-disk journal (write-ahead log) for CPUX runs
+// One JSON line per run event in <journalDir>/<contextId>.jsonl
+// Journals of settled runs (terminated, result delivered or given up) move to <journalDir>/archive/,
+// so a restart only reads the runs it may have to resume
+
+const fs = require('fs');
+const path = require('path');
+
+// null disables journaling (e.g. purely in-memory runs)
+let journalDir = process.env.CPUX_JOURNAL_DIR || path.join(__dirname, '..', 'journal');
+const sequenceNumbers = new Map(); // contextId -> last written seq of a live journal
+
+function setJournalDir(dir) {
+  journalDir = dir;
+}
+
+function archiveDir() {
+  return path.join(journalDir, 'archive');
+}
+
+function liveJournalFile(contextId) {
+  return path.join(journalDir, `${contextId}.jsonl`);
+}
+
+// Where a run's journal is now - late entries of an archived run (e.g. a late emission) follow it there
+function journalFile(contextId) {
+  const live = liveJournalFile(contextId);
+  const archived = path.join(archiveDir(), `${contextId}.jsonl`);
+  return !fs.existsSync(live) && fs.existsSync(archived) ? archived : live;
+}
+
+// Synchronous append so the entry is on disk before the caller mutates memory.
+// Counters are kept for live journals only; an archived run's odd late entry re-reads its last seq from disk
+function appendJournalEntry(contextId, entry) {
+  if (!journalDir) {
+    return null;
+  }
+
+  const file = journalFile(contextId);
+  const live = file === liveJournalFile(contextId);
+  const seq = (live && sequenceNumbers.has(contextId) ? sequenceNumbers.get(contextId) : lastSequenceNumber(file)) + 1;
+  if (live) {
+    sequenceNumbers.set(contextId, seq);
+  }
+
+  const record = { seq, at: new Date().toISOString(), ...entry };
+
+  fs.mkdirSync(journalDir, { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(record) + '\n');
+
+  return record;
+}
+
+// Parse one journal file; a torn last line from a crash is dropped
+function parseJournalFile(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  const entries = [];
+
+  for (const line of lines) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Journal ${path.basename(file)}: dropping unreadable entry after seq ${entries.length}`);
+      break;
+    }
+  }
+
+  return entries;
+}
+
+function lastSequenceNumber(file) {
+  if (!fs.existsSync(file)) {
+    return 0;
+  }
+  const entries = parseJournalFile(file);
+  return entries.length ? entries[entries.length - 1].seq : 0;
+}
+
+// Read every live (unarchived) run journal and resume their sequence numbers
+function readJournals() {
+  if (!journalDir || !fs.existsSync(journalDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(journalDir)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .map(name => {
+      const contextId = path.basename(name, '.jsonl');
+      const entries = parseJournalFile(path.join(journalDir, name));
+
+      sequenceNumbers.set(contextId, entries.length ? entries[entries.length - 1].seq : 0);
+      return { contextId, entries };
+    });
+}
+
+// Move a settled run's journal out of the directory recovery reads
+function archiveJournal(contextId) {
+  if (!journalDir || !fs.existsSync(liveJournalFile(contextId))) {
+    return false;
+  }
+  fs.mkdirSync(archiveDir(), { recursive: true });
+  fs.renameSync(liveJournalFile(contextId), path.join(archiveDir(), `${contextId}.jsonl`));
+  sequenceNumbers.delete(contextId);
+  return true;
+}
+
+// Entries of one run journal, live or archived (read-only; [] when journaling is off or the run has none)
+function readJournal(contextId) {
+  if (!journalDir || !fs.existsSync(journalFile(contextId))) {
+    return [];
+  }
+  return parseJournalFile(journalFile(contextId));
+}
+
+module.exports = {
+  setJournalDir,
+  appendJournalEntry,
+  readJournals,
+  readJournal,
+  archiveJournal
+};
@@ -0,0 +1,152 @@
+// utils/predicate.js
+// Declarative predicates over a pulse response - plain JSON, evaluated without running any code
+//
+//   { path: 'currentPoints', op: '>=', value: 6 }        comparison (==, !=, >, >=, <, <=)
+//   { path: 'status', op: 'in', value: ['active', 'new'] } membership (in, notIn)
+//   { path: 'violations', op: 'contains', value: 'dui' }  array element / substring
+//   { path: 'license.expiryDate', op: 'exists' }           path existence (exists, missing)
+//   { all: [...] }, { any: [...] }, { not: {...} }         combinations
+//
+// `path` is dot-separated ('violations.0') or an array of segments; omitted or '' is the response itself.
+// Only own properties are followed, so '__proto__' or 'constructor' never reach outside the response.
+
+const OPERATORS = ['==', '!=', '>', '>=', '<', '<=', 'in', 'notIn', 'contains', 'exists', 'missing'];
+const MAX_DEPTH = 16;
+
+function pathSegments(path) {
+  if (path === undefined || path === '') {
+    return [];
+  }
+  return Array.isArray(path) ? path.map(String) : String(path).split('.');
+}
+
+// Value at path inside response; undefined when any segment is missing
+function resolvePath(response, path) {
+  let current = response;
+  for (const segment of pathSegments(path)) {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+function equals(a, b) {
+  if (a === b) {
+    return true;
+  }
+  return a !== null && b !== null && typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Ordering only compares numbers with numbers and strings with strings (ISO dates sort as strings)
+function comparable(a, b) {
+  return (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+}
+
+function compare(op, actual, expected) {
+  switch (op) {
+    case '==': return equals(actual, expected);
+    case '!=': return !equals(actual, expected);
+    case '>': return comparable(actual, expected) && actual > expected;
+    case '>=': return comparable(actual, expected) && actual >= expected;
+    case '<': return comparable(actual, expected) && actual < expected;
+    case '<=': return comparable(actual, expected) && actual <= expected;
+    case 'in': return Array.isArray(expected) && expected.some(candidate => equals(actual, candidate));
+    case 'notIn': return Array.isArray(expected) && !expected.some(candidate => equals(actual, candidate));
+    case 'contains':
+      if (Array.isArray(actual)) return actual.some(element => equals(element, expected));
+      return typeof actual === 'string' && typeof expected === 'string' && actual.includes(expected);
+    case 'exists': return actual !== undefined && actual !== null;
+    case 'missing': return actual === undefined || actual === null;
+    default: return false;
+  }
+}
+
+// Evaluate a predicate against a response. Malformed predicates evaluate to false, never throw.
+function evaluatePredicate(predicate, response, depth = 0) {
+  if (!predicate || typeof predicate !== 'object' || depth > MAX_DEPTH) {
+    return false;
+  }
+  if (Array.isArray(predicate.all)) {
+    return predicate.all.every(part => evaluatePredicate(part, response, depth + 1));
+  }
+  if (Array.isArray(predicate.any)) {
+    return predicate.any.some(part => evaluatePredicate(part, response, depth + 1));
+  }
+  if (predicate.not !== undefined) {
+    return !evaluatePredicate(predicate.not, response, depth + 1);
+  }
+  return compare(predicate.op, resolvePath(response, predicate.path), predicate.value);
+}
+
+// Reasons a predicate is malformed; [] when it is well-formed
+function predicateProblems(predicate, where = 'where', depth = 0) {
+  if (!predicate || typeof predicate !== 'object' || Array.isArray(predicate)) {
+    return [`${where} must be an object`];
+  }
+  if (depth > MAX_DEPTH) {
+    return [`${where} is nested more than ${MAX_DEPTH} levels deep`];
+  }
+
+  const combinators = ['all', 'any', 'not'].filter(key => predicate[key] !== undefined);
+  if (combinators.length > 1 || (combinators.length === 1 && predicate.op !== undefined)) {
+    return [`${where} must have exactly one of op, all, any or not`];
+  }
+
+  if (combinators[0] === 'all' || combinators[0] === 'any') {
+    const parts = predicate[combinators[0]];
+    if (!Array.isArray(parts) || parts.length === 0) {
+      return [`${where}.${combinators[0]} must be a non-empty array`];
+    }
+    return parts.flatMap((part, index) => predicateProblems(part, `${where}.${combinators[0]}[${index}]`, depth + 1));
+  }
+  if (combinators[0] === 'not') {
+    return predicateProblems(predicate.not, `${where}.not`, depth + 1);
+  }
+
+  const problems = [];
+  if (!OPERATORS.includes(predicate.op)) {
+    problems.push(`${where}.op must be one of ${OPERATORS.join(', ')}`);
+  }
+  if (predicate.path !== undefined && typeof predicate.path !== 'string' &&
+      !(Array.isArray(predicate.path) && predicate.path.every(segment => ['string', 'number'].includes(typeof segment)))) {
+    problems.push(`${where}.path must be a dot-separated string or an array of segments`);
+  }
+  if (['in', 'notIn'].includes(predicate.op) && !Array.isArray(predicate.value)) {
+    problems.push(`${where}.value must be an array for '${predicate.op}'`);
+  }
+  if (['>', '>=', '<', '<='].includes(predicate.op) && !['number', 'string'].includes(typeof predicate.value)) {
+    problems.push(`${where}.value must be a number or string for '${predicate.op}'`);
+  }
+  if (!['exists', 'missing'].includes(predicate.op) && OPERATORS.includes(predicate.op) && predicate.value === undefined) {
+    problems.push(`${where}.value is required for '${predicate.op}'`);
+  }
+  return problems;
+}
+
+// Short human-readable form for logs and status, e.g. "currentPoints >= 6"
+function describePredicate(predicate) {
+  if (!predicate || typeof predicate !== 'object') {
+    return String(predicate);
+  }
+  if (Array.isArray(predicate.all)) {
+    return `(${predicate.all.map(describePredicate).join(' and ')})`;
+  }
+  if (Array.isArray(predicate.any)) {
+    return `(${predicate.any.map(describePredicate).join(' or ')})`;
+  }
+  if (predicate.not !== undefined) {
+    return `not ${describePredicate(predicate.not)}`;
+  }
+  const path = pathSegments(predicate.path).join('.') || 'response';
+  return ['exists', 'missing'].includes(predicate.op) ? `${path} ${predicate.op}` : `${path} ${predicate.op} ${JSON.stringify(predicate.value)}`;
+}
+
+module.exports = {
+  OPERATORS,
+  resolvePath,
+  evaluatePredicate,
+  predicateProblems,
+  describePredicate
+};
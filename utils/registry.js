@@ -0,0 +1,114 @@
+// utils/registry.js
+// Client for registry_server.js: members register and heartbeat, emitters resolve target URLs
+// An unknown target is an error - there is no fallback URL
+// Member IDs are shared between protocols (the CPUX DN2 container and the IPTP DN2 login node are both "DN2"),
+// so every registration names the protocol it speaks and targets resolve per protocol
+
+const transport = require('./transport');
+
+const REGISTRY_URL = process.env.IPTP_REGISTRY_URL || 'http://localhost:3100';
+const RESOLVE_CACHE_MS = 1000; // Short, so a removed member stops receiving work within a second
+const REGISTRY_TIMEOUT_MS = 2000;
+const PROTOCOLS = ['cpux', 'iptp']; // cpux members answer POST /execute, iptp members POST /iptp
+
+const resolved = new Map(); // memberId -> { instances, expiresAt }
+
+// Register the member IDs served at url and keep the registration alive until stop() is called.
+// Retries while the registry is down and re-registers when it has forgotten us.
+// load(), when given, returns the replica's current running-instance count, reported with every heartbeat.
+function registerMembers(url, members, log = console.log, load = null, protocol = 'cpux') {
+  let registrationId = null;
+  let intervalMs = 5000;
+  let timer = null;
+  let stopped = false;
+  let unreachable = false;
+
+  async function beat() {
+    const runningInstances = load ? load() : 0;
+    try {
+      if (!registrationId) {
+        const response = await transport.post(`${REGISTRY_URL}/registry/registrations`, { url, members, protocol, runningInstances }, { timeout: REGISTRY_TIMEOUT_MS });
+        registrationId = response.data.registrationId;
+        intervalMs = response.data.heartbeatIntervalMs || intervalMs;
+        log(`📒 Registered ${members.join(', ')} (${protocol}) at ${url} as ${registrationId}`);
+      } else {
+        await transport.post(`${REGISTRY_URL}/registry/registrations/${registrationId}/heartbeat`, { runningInstances }, { timeout: REGISTRY_TIMEOUT_MS });
+      }
+      unreachable = false;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        log(`📒 Registry forgot ${registrationId} - registering again`);
+        registrationId = null;
+        timer = stopped ? null : setTimeout(beat, 0);
+        return;
+      }
+      if (!unreachable) {
+        log(`📒 Registry ${REGISTRY_URL} unreachable (${error.message}) - will keep trying`);
+        unreachable = true;
+      }
+    }
+    timer = stopped ? null : setTimeout(beat, intervalMs);
+  }
+
+  beat();
+
+  return {
+    get registrationId() {
+      return registrationId;
+    },
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (registrationId) {
+        await transport.delete(`${REGISTRY_URL}/registry/registrations/${registrationId}`, { timeout: REGISTRY_TIMEOUT_MS }).catch(() => {});
+      }
+    }
+  };
+}
+
+function unknownTargetError(memberId, protocol = 'cpux') {
+  return new Error(`Unknown target ${memberId}: no live ${protocol} member is registered for it at ${REGISTRY_URL}`);
+}
+
+// Every live replica of memberId whatever its protocol; [] when nothing serves it. Only non-empty lists are cached.
+async function fetchInstances(memberId) {
+  const cached = resolved.get(memberId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.instances;
+  }
+
+  let response;
+  try {
+    response = await transport.get(`${REGISTRY_URL}/registry/members/${encodeURIComponent(memberId)}`, { timeout: REGISTRY_TIMEOUT_MS });
+  } catch (error) {
+    resolved.delete(memberId);
+    if (error.response && error.response.status === 404) {
+      return [];
+    }
+    throw new Error(`Cannot resolve target ${memberId}: registry ${REGISTRY_URL} unreachable (${error.message})`);
+  }
+
+  const instances = response.data.instances || [];
+  if (instances.length > 0) {
+    resolved.set(memberId, { instances, expiresAt: Date.now() + RESOLVE_CACHE_MS });
+  }
+  return instances;
+}
+
+// Every live replica serving memberId over protocol: [{ registrationId, url, protocol, runningInstances, lastHeartbeat }],
+// most recently renewed first. Throws when nothing serves it over that protocol or the registry is down.
+async function listInstances(memberId, protocol = 'cpux') {
+  const instances = (await fetchInstances(memberId)).filter(instance => instance.protocol === protocol);
+  if (instances.length === 0) {
+    throw unknownTargetError(memberId, protocol);
+  }
+  return instances;
+}
+
+// Base URL of a live member serving memberId over protocol; throws when nothing serves it or the registry is down
+async function resolveTarget(memberId, protocol = 'cpux') {
+  const [instance] = await listInstances(memberId, protocol);
+  return instance.url;
+}
+
+module.exports = { REGISTRY_URL, PROTOCOLS, registerMembers, listInstances, resolveTarget, unknownTargetError };
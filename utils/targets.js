@@ -0,0 +1,11 @@
+// utils/targets.js
+// Member IDs a CPUX definition may target
+// Where a member runs is not fixed here: members register with registry_server.js and
+// emitters look them up with resolveTarget() from utils/registry.js
+
+const KNOWN_TARGETS = ["O1", "DN1", "DN2", "DN3", "DN4", "DN5"];
+
+// Pseudo-targets for the last member emission: nothing is sent over HTTP
+const FINAL_TARGETS = ["CONSOLE", "STARTER"];
+
+module.exports = { KNOWN_TARGETS, FINAL_TARGETS };
@@ -0,0 +1,235 @@
+// utils/transport.js
+// Member communication - every CPUX, Object, DN and registry call goes through here instead of axios directly
+//
+// transport.post(url, body, config) / get(url, config) / delete(url, config) behave like axios:
+// they resolve { status, headers, data } and reject 4xx/5xx with error.response = { status, headers, data }.
+// transport.listen(app, port, callback) is where a server starts serving its express app.
+//
+// Two implementations:
+//   http   (default) - axios and app.listen, one process per server
+//   memory           - express apps mounted by origin (http://localhost:<port>) and called in-process;
+//                      composes the CPUX, Objects and DNs into one process without opening ports;
+//                      responses come back whole, so streaming routes (SSE) are refused - serve those over HTTP
+// Select one with transport.use(...) before the servers are required; IPTP_TRANSPORT=memory does the same.
+
+const http = require('http');
+const axios = require('axios');
+
+function createHttpTransport() {
+  return {
+    name: 'http',
+    request: config => axios.request(config),
+    listen(app, port, callback) {
+      return app.listen(port, callback);
+    }
+  };
+}
+
+// axios-shaped failure for a response with an error status
+function statusError(config, response) {
+  const error = new Error(`Request failed with status code ${response.status}`);
+  error.code = response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST';
+  error.config = config;
+  error.response = response;
+  return error;
+}
+
+// Run one request through an express app with in-process request/response objects.
+// The body is already parsed (express.json() skips it) and copied, so neither side shares objects.
+// writeHead/write/end are captured and the body is handed back once the response ends; a streaming
+// response (text/event-stream) never ends, so it is refused and closed instead of hanging or coming back empty.
+function dispatchToApp(app, { method, path, headers, data }) {
+  return new Promise((resolve, reject) => {
+    const req = new http.IncomingMessage(null);
+    req.method = method;
+    req.url = path;
+    req.headers = Object.fromEntries(Object.entries({ 'content-type': 'application/json', ...headers })
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => [name.toLowerCase(), String(value)]));
+    if (data !== undefined) {
+      req.body = JSON.parse(JSON.stringify(data));
+      req._body = true;
+    }
+    req.push(null);
+
+    const res = new http.ServerResponse(req);
+    const chunks = [];
+    let settled = false;
+
+    const toBuffer = (chunk, encoding) => (Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8'));
+
+    // Streams are for HTTP clients; the route sees the client go away and cleans up after itself
+    const refuseStream = () => {
+      if (settled || !String(res.getHeader('content-type') || '').startsWith('text/event-stream')) {
+        return settled;
+      }
+      settled = true;
+      const error = new Error(`${method} ${path} answers with a text/event-stream, which the in-memory transport cannot carry - use HTTP`);
+      error.code = 'ERR_STREAM_UNSUPPORTED';
+      reject(error);
+      setImmediate(() => res.emit('close'));
+      return true;
+    };
+
+    res.writeHead = function (statusCode, reason, headerFields) {
+      res.statusCode = statusCode;
+      const fields = typeof reason === 'object' && reason !== null ? reason : headerFields;
+      if (Array.isArray(fields)) {
+        for (let i = 0; i < fields.length; i += 2) {
+          res.setHeader(fields[i], fields[i + 1]);
+        }
+      } else if (fields) {
+        Object.entries(fields).forEach(([name, value]) => res.setHeader(name, value));
+      }
+      refuseStream();
+      return res;
+    };
+
+    res.write = function (chunk, encoding, callback) {
+      if (!refuseStream() && chunk !== undefined && chunk !== null) {
+        chunks.push(toBuffer(chunk, encoding));
+      }
+      const done = typeof encoding === 'function' ? encoding : callback;
+      if (done) {
+        setImmediate(done);
+      }
+      return true;
+    };
+
+    res.end = function (chunk, encoding, callback) {
+      if (typeof chunk === 'function') {
+        [chunk, callback] = [undefined, chunk];
+      }
+      if (refuseStream()) {
+        return res;
+      }
+      if (chunk !== undefined && chunk !== null) {
+        chunks.push(toBuffer(chunk, encoding));
+      }
+      settled = true;
+
+      const text = Buffer.concat(chunks).toString('utf8');
+      const contentType = String(res.getHeader('content-type') || '');
+      let body = text;
+      if (contentType.startsWith('application/json') && text) {
+        body = JSON.parse(text);
+      }
+      resolve({ status: res.statusCode, headers: { ...res.getHeaders() }, data: body });
+      const done = typeof encoding === 'function' ? encoding : callback;
+      if (done) {
+        setImmediate(done);
+      }
+      return res;
+    };
+
+    // Nothing matched the route, or a handler passed an error on - answer as express would
+    app.handle(req, res, error => {
+      res.statusCode = error ? 500 : 404;
+      res.setHeader('content-type', 'text/plain; charset=utf-8');
+      res.end(error ? 'Internal Server Error' : `Cannot ${method} ${req.url}`);
+    });
+  });
+}
+
+// fallback: transport for origins nothing is mounted at (e.g. createHttpTransport() for outside callbacks);
+// without one such a request fails like a refused connection
+function createMemoryTransport({ fallback = null } = {}) {
+  const mounted = new Map(); // origin -> express app
+
+  function mount(origin, app) {
+    mounted.set(new URL(origin).origin, app);
+  }
+
+  async function request(config) {
+    const url = new URL(config.url);
+    const app = mounted.get(url.origin);
+    if (!app) {
+      if (fallback) {
+        return fallback.request(config);
+      }
+      const error = new Error(`connect ECONNREFUSED ${url.origin} (nothing mounted in this process)`);
+      error.code = 'ECONNREFUSED';
+      error.config = config;
+      throw error;
+    }
+
+    const call = dispatchToApp(app, {
+      method: (config.method || 'get').toUpperCase(),
+      path: `${url.pathname}${url.search}`,
+      headers: config.headers || {},
+      data: config.data
+    });
+
+    // Same meaning as axios: 0 waits forever
+    const response = config.timeout
+      ? await Promise.race([call, new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const error = new Error(`timeout of ${config.timeout}ms exceeded`);
+          error.code = 'ECONNABORTED';
+          error.config = config;
+          reject(error);
+        }, config.timeout).unref();
+      })])
+      : await call;
+
+    const full = { ...response, config };
+    if (response.status >= 400) {
+      throw statusError(config, full);
+    }
+    return full;
+  }
+
+  return {
+    name: 'memory',
+    mount,
+    request,
+    // The callback runs on the next tick, as it would once a real server is listening
+    listen(app, port, callback) {
+      mount(`http://localhost:${port}`, app);
+      if (callback) {
+        setImmediate(callback);
+      }
+      return null;
+    }
+  };
+}
+
+let current = process.env.IPTP_TRANSPORT === 'memory'
+  ? createMemoryTransport({ fallback: createHttpTransport() })
+  : createHttpTransport();
+
+function use(transport) {
+  current = transport;
+  return current;
+}
+
+function active() {
+  return current;
+}
+
+function post(url, data, config = {}) {
+  return current.request({ ...config, method: 'post', url, data });
+}
+
+function get(url, config = {}) {
+  return current.request({ ...config, method: 'get', url });
+}
+
+function del(url, config = {}) {
+  return current.request({ ...config, method: 'delete', url });
+}
+
+function listen(app, port, callback) {
+  return current.listen(app, port, callback);
+}
+
+module.exports = {
+  createHttpTransport,
+  createMemoryTransport,
+  use,
+  active,
+  post,
+  get,
+  delete: del,
+  listen
+};
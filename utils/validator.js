@@ -0,0 +1,503 @@
+// utils/validator.js
+// Static checks for CPUX definitions: I-O-I-DN pattern, reachability, step IDs, targets, pulse usage, TVs, predicates, branches
+// Works on both the clean format (designTimeSignal + type) and the original polling format (signal)
+// A definition marked { "legacy": true } is a faithful port of a flow that predates these checks:
+// its DN-I-DN adjacencies and unreachable steps are reported as warnings, not errors
+
+const { KNOWN_TARGETS, FINAL_TARGETS } = require('./targets');
+const { TRUTH_VALUES, isTruthValue, describeGatePulse } = require('./field');
+const { predicateProblems } = require('./predicate');
+
+// Gate pulses a step waits for
+function gateOf(step) {
+  return step.designTimeSignal || step.signal || [];
+}
+
+// Member kind: 'object', 'dn', 'cpux' (nested definition) or 'final'
+function memberKind(step) {
+  if (['object', 'dn', 'cpux', 'final'].includes(step.type)) {
+    return step.type;
+  }
+  if (FINAL_TARGETS.includes(step.target)) {
+    return 'final';
+  }
+  return String(step.target).startsWith('DN') ? 'dn' : 'object';
+}
+
+// DN and nested CPUX steps answer later through an emission
+function isAsyncKind(kind) {
+  return kind === 'dn' || kind === 'cpux';
+}
+
+// Pulses a step puts into the field once it has run.
+// Objects reflect their gate pulses back; DNs and nested CPUX steps must declare `emits`.
+function emissionsOf(step) {
+  if (Array.isArray(step.emits)) {
+    return step.emits;
+  }
+  return memberKind(step) === 'object' ? gateOf(step) : [];
+}
+
+// Pulse a step puts into the field when it runs out of attempts (steps with a deadline or retry)
+function timeoutPulseOf(step) {
+  if (step.deadlineMs === undefined && step.retry === undefined && step.timeoutPulse === undefined) {
+    return null;
+  }
+  return { name: `${step.intention}_timeout`, TV: 'N', ...(step.timeoutPulse || {}) };
+}
+
+// A gate pulse the field can satisfy given the pulses producible so far.
+// U is a wildcard and a negated pulse also matches while the pulse is absent, so neither needs a producer.
+// A `where` predicate depends on run-time responses, so it is assumed satisfiable once the pulse is producible.
+function gatePulseReachable(pulse, producible) {
+  return pulse.TV === 'U' || pulse.not === true || producible.has(`${pulse.name}:${pulse.TV}`);
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Problems with a { mode, concurrency } dispatch policy (definition-level or per run)
+function dispatchProblems(dispatch) {
+  if (!dispatch || typeof dispatch !== 'object') {
+    return ['dispatch must be an object with mode, concurrency and/or balance'];
+  }
+  const problems = [];
+  if (dispatch.mode !== undefined && !['parallel', 'ordered'].includes(dispatch.mode)) {
+    problems.push(`dispatch.mode must be 'parallel' or 'ordered', not '${dispatch.mode}'`);
+  }
+  if (dispatch.concurrency !== undefined && !(Number.isInteger(dispatch.concurrency) && dispatch.concurrency >= 1)) {
+    problems.push('dispatch.concurrency must be an integer >= 1');
+  }
+  if (dispatch.balance !== undefined && !['least-loaded', 'round-robin'].includes(dispatch.balance)) {
+    problems.push(`dispatch.balance must be 'least-loaded' or 'round-robin', not '${dispatch.balance}'`);
+  }
+  return problems;
+}
+
+// Exclusive branches: { branchId, alternatives: [{ label, when?, steps: [stepId, ...] }, ...] }
+// The first alternative whose guard matches is taken; the steps of the others are skipped
+function branchesOf(cpuxDef) {
+  return Array.isArray(cpuxDef.branches) ? cpuxDef.branches : [];
+}
+
+// { branch, index, alternative } the step belongs to, or null
+function branchOf(cpuxDef, step) {
+  for (const branch of branchesOf(cpuxDef)) {
+    const index = (branch.alternatives || []).findIndex(alternative =>
+      Array.isArray(alternative.steps) && alternative.steps.includes(step.stepId));
+    if (index !== -1) {
+      return { branch, index, alternative: branch.alternatives[index] };
+    }
+  }
+  return null;
+}
+
+// Guard of an alternative: its `when`, or else the gate of its first step
+function guardOf(cpuxDef, alternative) {
+  if (Array.isArray(alternative.when)) {
+    return alternative.when;
+  }
+  const first = (cpuxDef.sequence || []).find(step => Array.isArray(alternative.steps) && step.stepId === alternative.steps[0]);
+  return first ? gateOf(first) : [];
+}
+
+function alternativeLabel(alternative, index) {
+  return alternative.label || `alternative ${index + 1}`;
+}
+
+// Two steps in different alternatives of one branch never both run
+function mutuallyExclusive(cpuxDef, a, b) {
+  const left = branchOf(cpuxDef, a);
+  const right = branchOf(cpuxDef, b);
+  return Boolean(left && right && left.branch === right.branch && left.index !== right.index);
+}
+
+function describeStep(step, index) {
+  return step.stepId !== undefined
+    ? `step ${step.stepId} (${step.intention})`
+    : `sequence[${index}] (${step.intention})`;
+}
+
+// Nested definition a 'cpux' step points at, or null
+function nestedDefinition(step, resolveDefinition) {
+  return resolveDefinition(step.target, step.version) || null;
+}
+
+// options.resolveDefinition(cpuxId, version) lets nested 'cpux' steps be checked against a catalog;
+// options.knownTargets replaces the member IDs steps may target
+function validateDefinition(cpuxDef, options = {}) {
+  const knownTargets = options.knownTargets || KNOWN_TARGETS;
+  const resolveDefinition = options.resolveDefinition || null;
+  const errors = [];
+  const warnings = [];
+  const structural = cpuxDef.legacy === true ? warnings : errors; // Where pattern and reachability findings go
+  const sequence = Array.isArray(cpuxDef.sequence) ? cpuxDef.sequence : [];
+  const startSignal = cpuxDef.startIntention?.signal || [];
+
+  // Duplicate and missing step IDs
+  const seenStepIds = new Map();
+  sequence.forEach((step, index) => {
+    if (step.stepId === undefined) {
+      warnings.push({
+        code: 'MISSING_STEP_ID',
+        index,
+        message: `${describeStep(step, index)} has no stepId; DN instance IDs cannot be derived`
+      });
+      return;
+    }
+    if (seenStepIds.has(step.stepId)) {
+      errors.push({
+        code: 'DUPLICATE_STEP_ID',
+        stepId: step.stepId,
+        message: `stepId ${step.stepId} is used by sequence[${seenStepIds.get(step.stepId)}] and sequence[${index}]`
+      });
+    } else {
+      seenStepIds.set(step.stepId, index);
+    }
+  });
+
+  // Gates and targets
+  sequence.forEach((step, index) => {
+    if (gateOf(step).length === 0) {
+      errors.push({
+        code: 'MISSING_GATE',
+        stepId: step.stepId,
+        message: `${describeStep(step, index)} has no designTimeSignal`
+      });
+    }
+    if (memberKind(step) === 'cpux') {
+      if (resolveDefinition && !nestedDefinition(step, resolveDefinition)) {
+        errors.push({
+          code: 'UNKNOWN_DEFINITION',
+          stepId: step.stepId,
+          message: `${describeStep(step, index)} nests '${step.target}'${step.version ? ` v${step.version}` : ''}, which is not in the catalog`
+        });
+      }
+    } else if (memberKind(step) !== 'final' && !knownTargets.includes(step.target)) {
+      errors.push({
+        code: 'UNKNOWN_TARGET',
+        stepId: step.stepId,
+        message: `${describeStep(step, index)} targets '${step.target}', which is not a known member ID`
+      });
+    }
+    if (isAsyncKind(memberKind(step)) && !Array.isArray(step.emits)) {
+      warnings.push({
+        code: 'MISSING_EMITS',
+        stepId: step.stepId,
+        message: `${describeStep(step, index)} is a ${memberKind(step) === 'dn' ? 'DN' : 'nested CPUX'} step without 'emits'; reachability assumes it produces nothing`
+      });
+    }
+  });
+  
+  // Nesting must bottom out: a definition may not (indirectly) contain itself
+  if (resolveDefinition) {
+    const findCycle = (definition, path) => {
+      for (const step of definition.sequence || []) {
+        if (memberKind(step) !== 'cpux') continue;
+        if (path.includes(step.target)) {
+          return [...path, step.target];
+        }
+        const nested = nestedDefinition(step, resolveDefinition);
+        const cycle = nested && findCycle(nested, [...path, step.target]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+    
+    const cycle = findCycle(cpuxDef, [cpuxDef.cpuxId]);
+    if (cycle) {
+      errors.push({
+        code: 'NESTING_CYCLE',
+        cycle,
+        message: `nested CPUX steps form a cycle: ${cycle.join(' -> ')}`
+      });
+    }
+  }
+
+  if (cpuxDef.dispatch !== undefined) {
+    dispatchProblems(cpuxDef.dispatch).forEach(problem => {
+      errors.push({ code: 'INVALID_DISPATCH', message: problem });
+    });
+  }
+
+  // Truth values: every pulse in a gate, emission or timeout is Y, N or U
+  const checkPulses = (pulses, where, stepId) => {
+    pulses.forEach(pulse => {
+      if (!isTruthValue(pulse.TV)) {
+        errors.push({
+          code: 'INVALID_TV',
+          stepId,
+          message: `${where}: pulse '${pulse.name}' has TV ${JSON.stringify(pulse.TV)}; expected one of ${TRUTH_VALUES.join(', ')}`
+        });
+      }
+      if (pulse.not !== undefined && typeof pulse.not !== 'boolean') {
+        errors.push({
+          code: 'INVALID_TV',
+          stepId,
+          message: `${where}: pulse '${pulse.name}' has a non-boolean 'not'`
+        });
+      }
+    });
+  };
+  checkPulses(startSignal, 'startIntention');
+  sequence.forEach((step, index) => {
+    checkPulses(gateOf(step), `${describeStep(step, index)} gate`, step.stepId);
+    if (Array.isArray(step.emits)) {
+      checkPulses(step.emits, `${describeStep(step, index)} emits`, step.stepId);
+    }
+    if (step.timeoutPulse && typeof step.timeoutPulse === 'object') {
+      checkPulses([timeoutPulseOf(step)], `${describeStep(step, index)} timeoutPulse`, step.stepId);
+    }
+  });
+
+  // Response predicates on gate pulses must be well-formed declarative JSON
+  const checkPredicates = (pulses, where, stepId) => {
+    pulses.filter(pulse => pulse.where !== undefined).forEach(pulse => {
+      predicateProblems(pulse.where).forEach(problem => {
+        errors.push({
+          code: 'INVALID_PREDICATE',
+          stepId,
+          message: `${where} pulse '${pulse.name}': ${problem}`
+        });
+      });
+    });
+  };
+  sequence.forEach((step, index) => {
+    checkPredicates(gateOf(step), `${describeStep(step, index)} gate`, step.stepId);
+  });
+
+  // Exclusive branches: known steps, each step in at most one alternative, usable guards
+  if (cpuxDef.branches !== undefined && !Array.isArray(cpuxDef.branches)) {
+    errors.push({ code: 'INVALID_BRANCH', message: 'branches must be an array' });
+  }
+  const branchIds = new Set();
+  const branchedSteps = new Map(); // stepId -> "branch/alternative" that claimed it
+  branchesOf(cpuxDef).forEach((branch, branchIndex) => {
+    const name = branch.branchId !== undefined ? `branch '${branch.branchId}'` : `branches[${branchIndex}]`;
+    const branchError = message => errors.push({ code: 'INVALID_BRANCH', branchId: branch.branchId, message: `${name}: ${message}` });
+
+    if (typeof branch.branchId !== 'string' || !branch.branchId) {
+      branchError('branchId must be a non-empty string');
+    } else if (branchIds.has(branch.branchId)) {
+      branchError('branchId is used by another branch');
+    }
+    branchIds.add(branch.branchId);
+
+    if (!Array.isArray(branch.alternatives) || branch.alternatives.length < 2) {
+      branchError('needs at least two alternatives');
+      return;
+    }
+
+    const guards = [];
+    branch.alternatives.forEach((alternative, index) => {
+      const label = alternativeLabel(alternative, index);
+      if (!Array.isArray(alternative.steps) || alternative.steps.length === 0) {
+        branchError(`${label} has no steps`);
+        return;
+      }
+      alternative.steps.forEach(stepId => {
+        if (!seenStepIds.has(stepId)) {
+          branchError(`${label} lists step ${stepId}, which is not in the sequence`);
+        } else if (branchedSteps.has(stepId)) {
+          branchError(`${label} lists step ${stepId}, which already belongs to ${branchedSteps.get(stepId)}`);
+        } else {
+          branchedSteps.set(stepId, `${branch.branchId}/${label}`);
+        }
+      });
+      if (alternative.when !== undefined) {
+        if (!Array.isArray(alternative.when) || alternative.when.length === 0) {
+          branchError(`${label}: when must be a non-empty array of gate pulses`);
+          return;
+        }
+        checkPulses(alternative.when, `${name} ${label} when`);
+        checkPredicates(alternative.when, `${name} ${label} when`);
+      }
+
+      // A guard identical to an earlier one can never win - the earlier alternative is always taken first
+      const guard = JSON.stringify(guardOf(cpuxDef, alternative));
+      const shadowedBy = guards.indexOf(guard);
+      if (shadowedBy !== -1) {
+        warnings.push({
+          code: 'SHADOWED_ALTERNATIVE',
+          branchId: branch.branchId,
+          message: `${name}: ${label} has the same guard as ${alternativeLabel(branch.alternatives[shadowedBy], shadowedBy)} and is never taken`
+        });
+      }
+      guards.push(guard);
+    });
+  });
+
+  // Deadline, retry, consumption and re-arm policy
+  sequence.forEach((step, index) => {
+    const problems = [];
+    if (step.deadlineMs !== undefined && !isPositiveNumber(step.deadlineMs)) {
+      problems.push('deadlineMs must be a positive number of milliseconds');
+    }
+    if (step.retry !== undefined) {
+      const retry = step.retry || {};
+      if (retry.maxAttempts !== undefined && !(Number.isInteger(retry.maxAttempts) && retry.maxAttempts >= 1)) {
+        problems.push('retry.maxAttempts must be an integer >= 1');
+      }
+      ['backoffMs', 'maxBackoffMs'].forEach(field => {
+        if (retry[field] !== undefined && !(typeof retry[field] === 'number' && retry[field] >= 0)) {
+          problems.push(`retry.${field} must be a number >= 0`);
+        }
+      });
+      if (retry.backoffFactor !== undefined && !(typeof retry.backoffFactor === 'number' && retry.backoffFactor >= 1)) {
+        problems.push('retry.backoffFactor must be a number >= 1');
+      }
+    }
+    if (step.timeoutPulse !== undefined && !(step.timeoutPulse && typeof step.timeoutPulse === 'object')) {
+      problems.push('timeoutPulse must be an object with name and/or TV');
+    }
+    if (step.consumeSignal !== undefined && typeof step.consumeSignal !== 'boolean') {
+      problems.push('consumeSignal must be true or false');
+    }
+    if (step.targetConsumption !== undefined && !['absorb', 'copy'].includes(step.targetConsumption)) {
+      problems.push(`targetConsumption must be 'absorb' or 'copy', not '${step.targetConsumption}'`);
+    }
+    if (step.rearm !== undefined) {
+      const maxIterations = step.rearm && typeof step.rearm === 'object' ? step.rearm.maxIterations : undefined;
+      if (typeof step.rearm !== 'boolean' && !(step.rearm && typeof step.rearm === 'object')) {
+        problems.push('rearm must be true, false or { maxIterations }');
+      } else if (maxIterations !== undefined && !(Number.isInteger(maxIterations) && maxIterations >= 1)) {
+        problems.push('rearm.maxIterations must be an integer >= 1');
+      }
+      if (step.rearm && memberKind(step) === 'final') {
+        problems.push('a final step ends the run and cannot be re-armed');
+      }
+    }
+    problems.forEach(problem => {
+      errors.push({
+        code: 'INVALID_POLICY',
+        stepId: step.stepId,
+        message: `${describeStep(step, index)}: ${problem}`
+      });
+    });
+  });
+
+  if (cpuxDef.legacy !== undefined && typeof cpuxDef.legacy !== 'boolean') {
+    errors.push({
+      code: 'INVALID_POLICY',
+      message: 'legacy must be true or false'
+    });
+  }
+
+  if (cpuxDef.maxIterations !== undefined && !(Number.isInteger(cpuxDef.maxIterations) && cpuxDef.maxIterations >= 1)) {
+    errors.push({
+      code: 'INVALID_POLICY',
+      message: 'maxIterations must be an integer >= 1'
+    });
+  }
+
+  if (cpuxDef.startIntention && !knownTargets.includes(cpuxDef.startIntention.target)) {
+    errors.push({
+      code: 'UNKNOWN_TARGET',
+      message: `startIntention targets '${cpuxDef.startIntention.target}', which is not a known member ID`
+    });
+  }
+
+  // I-O-I-DN pattern: a DN result must be reflected by an Object before the next DN runs
+  // A nested CPUX counts as a DN here; DNs in alternatives of the same branch never run back to back
+  for (let i = 1; i < sequence.length; i++) {
+    if (isAsyncKind(memberKind(sequence[i - 1])) && isAsyncKind(memberKind(sequence[i])) &&
+        !mutuallyExclusive(cpuxDef, sequence[i - 1], sequence[i])) {
+      structural.push({
+        code: 'PATTERN_VIOLATION',
+        stepId: sequence[i].stepId,
+        message: `${describeStep(sequence[i - 1], i - 1)} -> ${describeStep(sequence[i], i)} is DN-I-DN; expected I-O-I-DN`
+      });
+    }
+  }
+
+  // Reachability: grow the set of producible pulses until no new step can fire
+  const producible = new Set(startSignal.map(p => `${p.name}:${p.TV}`));
+  const reached = new Set();
+  let grew = true;
+
+  while (grew) {
+    grew = false;
+    sequence.forEach((step, index) => {
+      if (reached.has(index)) return;
+      if (!gateOf(step).every(p => gatePulseReachable(p, producible))) return;
+
+      reached.add(index);
+      grew = true;
+      emissionsOf(step).forEach(p => producible.add(`${p.name}:${p.TV}`));
+      // A timeout pulse can open fallback steps, but it is optional - no warning if nothing reads it
+      const timeoutPulse = timeoutPulseOf(step);
+      if (timeoutPulse) producible.add(`${timeoutPulse.name}:${timeoutPulse.TV}`);
+    });
+  }
+
+  sequence.forEach((step, index) => {
+    if (reached.has(index)) return;
+    const missing = gateOf(step)
+      .filter(p => !gatePulseReachable(p, producible))
+      .map(describeGatePulse);
+    structural.push({
+      code: 'UNREACHABLE_STEP',
+      stepId: step.stepId,
+      missingPulses: missing,
+      message: `${describeStep(step, index)} can never run: nothing produces ${missing.join(', ')}`
+    });
+  });
+
+  // A consumed pulse is gone for every later step that gates on it (earlier steps run first in a pass)
+  sequence.forEach((step, index) => {
+    if (!step.consumeSignal) return;
+    const names = new Set(gateOf(step).map(p => p.name));
+    sequence.slice(index + 1).forEach((later, offset) => {
+      const shared = gateOf(later).map(p => p.name).filter(name => names.has(name));
+      if (shared.length > 0 && !mutuallyExclusive(cpuxDef, step, later)) {
+        warnings.push({
+          code: 'CONSUMED_GATE_SHARED',
+          stepId: later.stepId,
+          message: `${describeStep(step, index)} consumes ${shared.join(', ')} before ${describeStep(later, index + 1 + offset)} can see it, unless the consumer is rejected`
+        });
+      }
+    });
+  });
+
+  // Pulses that something produces but no gate ever reads
+  const consumed = new Set(sequence.flatMap(step => gateOf(step).map(p => p.name)));
+  const producers = new Map();
+  startSignal.forEach(p => producers.set(p.name, 'startIntention'));
+  sequence.forEach((step, index) => {
+    emissionsOf(step).forEach(p => {
+      if (!producers.has(p.name)) producers.set(p.name, describeStep(step, index));
+    });
+  });
+
+  for (const [name, producer] of producers) {
+    if (!consumed.has(name)) {
+      warnings.push({
+        code: 'UNCONSUMED_PULSE',
+        pulse: name,
+        message: `pulse '${name}' is produced by ${producer} but no step gates on it`
+      });
+    }
+  }
+
+  return {
+    cpuxId: cpuxDef.cpuxId,
+    version: cpuxDef.version,
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+module.exports = {
+  validateDefinition,
+  gateOf,
+  branchOf,
+  guardOf,
+  alternativeLabel,
+  memberKind,
+  isAsyncKind,
+  emissionsOf,
+  timeoutPulseOf,
+  dispatchProblems
+};
@@ -0,0 +1,86 @@
+// validate_definitions.js
+// Standalone CPUX definition validator
+// Usage: node validate_definitions.js [file.json | directory ...]   (defaults to definitions/)
+
+const fs = require('fs');
+const path = require('path');
+const { validateDefinition } = require('./utils/validator');
+const { DEFINITIONS_DIR } = require('./utils/definitions');
+
+function collectFiles(targets) {
+  return targets.flatMap(target => {
+    if (fs.statSync(target).isDirectory()) {
+      return fs.readdirSync(target)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(target, name));
+    }
+    return [target];
+  });
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Nested 'cpux' steps resolve against the files being checked, then the definitions/ catalog
+function createResolver(definitions) {
+  const known = definitions.concat(collectFiles([DEFINITIONS_DIR]).flatMap(file => {
+    try {
+      return [readJSON(file)];
+    } catch (error) {
+      return [];
+    }
+  }));
+
+  return (cpuxId, version) => {
+    const candidates = known.filter(definition => definition.cpuxId === cpuxId);
+    if (version !== undefined && version !== null) {
+      return candidates.find(definition => definition.version === Number(version)) || null;
+    }
+    return candidates.reduce((latest, definition) => (!latest || definition.version > latest.version ? definition : latest), null);
+  };
+}
+
+function printIssues(label, issues) {
+  issues.forEach(issue => console.log(`  ${label} ${issue.code}: ${issue.message}`));
+}
+
+function main() {
+  const targets = process.argv.slice(2);
+  const files = collectFiles(targets.length > 0 ? targets : [DEFINITIONS_DIR]);
+  let invalidCount = 0;
+
+  const parsed = files.map(file => {
+    try {
+      return { file, definition: readJSON(file) };
+    } catch (error) {
+      return { file, error };
+    }
+  });
+  const resolveDefinition = createResolver(parsed.filter(entry => entry.definition).map(entry => entry.definition));
+
+  for (const { file, definition, error } of parsed) {
+    if (error) {
+      console.log(`❌ ${path.basename(file)}: cannot parse (${error.message})`);
+      invalidCount++;
+      continue;
+    }
+
+    const report = validateDefinition(definition, { resolveDefinition });
+
+    const status = report.valid ? '✅' : '❌';
+    console.log(`${status} ${path.basename(file)}: ${report.cpuxId} v${report.version} - ${report.errors.length} errors, ${report.warnings.length} warnings`);
+    printIssues('error  ', report.errors);
+    printIssues('warning', report.warnings);
+
+    if (!report.valid) invalidCount++;
+  }
+
+  console.log(`\n${files.length - invalidCount}/${files.length} definitions valid`);
+  process.exitCode = invalidCount > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main();
+}